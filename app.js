@@ -1,60 +1,530 @@
 // ===== DEPENDENCY CHECKER =====
-// Ensures all libraries loaded before init
+// Ensures all libraries loaded before init. Each library settles on its own so the
+// loader can count them: the CDN <script data-lib> tags record a failed download in
+// data-state (their onerror), and a script still in flight is awaited via its events.
+// A CDN that fails or times out falls back to the tag's data-fallback copy in vendor/.
+const LIBRARIES = {
+  Plotly: { label: 'Plotly', feature: 'Interactive charts' },
+  gsap: { label: 'GSAP', feature: 'Scroll animations' },
+  ScrollTrigger: { label: 'ScrollTrigger', feature: 'Scroll animations' },
+  THREE: { label: 'Three.js', feature: 'Particle background' },
+  Tone: { label: 'Tone.js', feature: 'Music and sound effects' }
+};
+
 class DependencyManager {
-  constructor() {
-    this.required = ['Plotly', 'gsap', 'THREE', 'Tone'];
-    this.checkInterval = null;
+  constructor(required = ['Plotly', 'gsap', 'THREE', 'Tone'], timeout = 10000) {
+    this.required = required;
+    this.timeout = timeout;
+    this.waits = {};
   }
 
-  async waitForDependencies() {
+  waitFor(lib) {
+    if (!this.waits[lib]) {
+      const fallback = document.querySelector(`script[data-lib="${lib}"]`)?.dataset.fallback;
+      this.waits[lib] = this.waitForScript(lib).catch(error => {
+        if (!fallback) throw error;
+        console.error(`${error.message}; trying ${fallback}`);
+        return this.loadFallback(lib, fallback);
+      });
+    }
+    return this.waits[lib];
+  }
+
+  waitForScript(lib) {
+    return new Promise((resolve, reject) => {
+      if (window[lib] !== undefined) return resolve();
+
+      const script = document.querySelector(`script[data-lib="${lib}"]`);
+      if (script?.dataset.state === 'error') return reject(new Error(`${lib} could not be downloaded`));
+
+      let pending = true;
+      const timer = setTimeout(() => {
+        pending = false;
+        reject(new Error(`${lib} failed to load within ${this.timeout / 1000}s`));
+      }, this.timeout);
+      const settle = () => {
+        pending = false;
+        clearTimeout(timer);
+        if (window[lib] !== undefined) {
+          resolve();
+        } else {
+          reject(new Error(`${lib} could not be downloaded`));
+        }
+      };
+
+      if (script) {
+        script.addEventListener('load', settle);
+        script.addEventListener('error', settle);
+      } else {
+        // No tag to listen to (added by another script): check until the timeout
+        const check = () => {
+          if (window[lib] !== undefined) settle();
+          else if (pending) setTimeout(check, 100);
+        };
+        check();
+      }
+    });
+  }
+
+  loadFallback(lib, src) {
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Libraries failed to load within 10s'));
-      }, 10000);
-
-      this.checkInterval = setInterval(() => {
-        const allLoaded = this.required.every(lib => window[lib] !== undefined);
-        if (allLoaded) {
-          clearInterval(this.checkInterval);
-          clearTimeout(timeout);
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = false; // fallbacks run in insertion order (ScrollTrigger after GSAP)
+      script.addEventListener('load', () => {
+        if (window[lib] !== undefined) {
           resolve();
+        } else {
+          reject(new Error(`${src} did not define ${lib}`));
         }
-      }, 100);
+      });
+      script.addEventListener('error', () => reject(new Error(`${lib} could not be loaded from ${src}`)));
+      document.head.appendChild(script);
     });
   }
+
+  async waitForDependencies() {
+    const results = await Promise.allSettled(this.required.map(lib => this.waitFor(lib)));
+    const missing = this.required.filter((lib, i) => results[i].status === 'rejected');
+    if (missing.length) throw new Error(`Libraries failed to load: ${missing.join(', ')}`);
+  }
 }
 
 // ===== LOADER MANAGER =====
+// The bar follows real milestones (libraries, fonts, first-screen images, chart data,
+// first chart render). A milestone that fails or times out still moves the bar; if it
+// backs a feature, that feature is listed in a notice once everything has settled.
+// Longer than DependencyManager's timeout so a hung CDN still gets its vendor/ fallback.
+const LOADER_TIMEOUT = 15000;
+
 class LoaderManager {
   constructor() {
     this.loader = document.getElementById('loader');
     this.progress = document.querySelector('.loader-progress');
-    this.currentProgress = 0;
-    this.interval = null;
+    this.bar = document.querySelector('.loader-bar');
+    this.status = document.querySelector('.loader-status');
+    this.milestones = new Map(); // key → { label, feature, state }
+    this.settled = [];
   }
 
   start() {
-    this.interval = setInterval(() => {
-      this.currentProgress += Math.random() * 30;
-      if (this.currentProgress >= 100) {
-        this.complete();
-      } else {
-        this.progress.style.width = `${this.currentProgress}%`;
-      }
-    }, 200);
+    this.loader?.classList.remove('hidden');
+    this.render();
+  }
+
+  // feature names what the reader loses if this milestone fails
+  track(key, label, promise, feature = null) {
+    const milestone = { label, feature, state: 'pending' };
+    this.milestones.set(key, milestone);
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out`)), LOADER_TIMEOUT);
+    });
+    const settled = Promise.race([promise, timeout])
+      .then(() => {
+        milestone.state = 'done';
+      }, (error) => {
+        milestone.state = 'failed';
+        console.error(`Loading ${label} failed:`, error);
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        this.render();
+      });
+
+    this.settled.push(settled);
+    this.render();
+    return settled;
+  }
+
+  render() {
+    const milestones = [...this.milestones.values()];
+    const done = milestones.filter(m => m.state !== 'pending').length;
+    const percent = milestones.length ? Math.round((done / milestones.length) * 100) : 0;
+    const next = milestones.find(m => m.state === 'pending');
+
+    if (this.progress) this.progress.style.width = `${percent}%`;
+    this.bar?.setAttribute('aria-valuenow', String(percent));
+    if (this.status) this.status.textContent = next ? `Loading ${next.label}…` : 'Ready';
   }
 
+  unavailable() {
+    const failed = [...this.milestones.values()].filter(m => m.state === 'failed' && m.feature);
+    return [...new Set(failed.map(m => m.feature))];
+  }
+
+  // Hides the overlay now; the notice waits for milestones still in flight (fonts, late charts)
   complete() {
-    clearInterval(this.interval);
-    this.currentProgress = 100;
-    this.progress.style.width = '100%';
+    if (this.progress) this.progress.style.width = '100%';
     setTimeout(() => {
-      this.loader.classList.add('hidden');
+      this.loader?.classList.add('hidden');
     }, 500);
+    Promise.all(this.settled).then(() => this.showDegraded());
+  }
+
+  showDegraded() {
+    const features = this.unavailable();
+    if (!features.length || document.getElementById('degraded-notice')) return;
+
+    const notice = document.createElement('aside');
+    notice.id = 'degraded-notice';
+    notice.className = 'degraded-notice';
+    notice.setAttribute('role', 'status');
+
+    const title = document.createElement('strong');
+    title.textContent = 'Some features are unavailable right now';
+    const list = document.createElement('ul');
+    features.forEach(feature => {
+      const item = document.createElement('li');
+      item.textContent = feature;
+      list.appendChild(item);
+    });
+    const hint = document.createElement('p');
+    hint.textContent = 'The stories and static charts still work. Reload to try again.';
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'degraded-notice-dismiss';
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', () => notice.remove());
+
+    notice.append(title, list, hint, dismiss);
+    document.body.appendChild(notice);
+  }
+
+  // Images in the first viewport once content has rendered; a broken image doesn't block
+  static firstScreenImages(root = document) {
+    const images = Array.from(root.images || root.querySelectorAll('img'))
+      .filter(img => img.getBoundingClientRect().top < window.innerHeight && !img.complete);
+    return Promise.all(images.map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    })));
+  }
+}
+
+// ===== RANDOM =====
+// The one source of randomness for the page, seeded so a seed reproduces it exactly
+// (screenshots, visual diffs, bug reports). ?seed=<anything> overrides the per-visit
+// seed; the seed in use is on <html data-seed>. Modules get their own stream from
+// fork(name), so their numbers don't depend on what else ran or in which order.
+const SEED_PARAM = 'seed';
+
+class Random {
+  constructor(seed = Random.fromUrl() || Random.fresh()) {
+    this.seed = String(seed);
+    this.state = Random.hash(this.seed);
+  }
+
+  static fromUrl() {
+    if (typeof window === 'undefined' || !window.location) return null;
+    return new URLSearchParams(window.location.search).get(SEED_PARAM) || null;
+  }
+
+  // Visits without ?seed= still get a seed, so they can be replayed too
+  static fresh() {
+    const [n] = globalThis.crypto?.getRandomValues
+      ? globalThis.crypto.getRandomValues(new Uint32Array(1))
+      : [Date.now() >>> 0];
+    return n.toString(36);
+  }
+
+  // FNV-1a, string → 32-bit state
+  static hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32, uniform in [0, 1)
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  fork(name) {
+    return new Random(`${this.seed}/${name}`);
+  }
+}
+
+// ===== MOTION POLICY =====
+// Decides how much the page may move. Modules subscribe and receive
+// { level, paused, reasons }:
+//   full     everything on
+//   reduced  Save-Data or a low, unplugged battery: fewer frames, no parallax
+//   minimal  reduced motion asked for by the OS or the reader: no continuous motion
+// paused is true while the tab is hidden so every rAF loop can stop.
+const MOTION_KEY = 'bored:motion';
+const MOTION_LOW_BATTERY = 0.2;
+
+class MotionPolicy {
+  constructor() {
+    this.query = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+    this.connection = navigator.connection || null;
+    this.battery = null;
+    this.listeners = [];
+    this.teardown = new AbortController();
+    try {
+      this.storage = window.localStorage;
+    } catch {
+      this.storage = null;
+    }
+    this.preference = this.storage?.getItem(MOTION_KEY) === 'reduce' ? 'reduce' : 'auto';
+    this.state = this.compute();
+    document.documentElement.dataset.motion = this.state.level;
+  }
+
+  async init() {
+    const refresh = () => this.refresh();
+    this.query?.addEventListener?.('change', refresh, { signal: this.teardown.signal });
+    this.connection?.addEventListener?.('change', refresh, { signal: this.teardown.signal });
+    document.addEventListener('visibilitychange', refresh, { signal: this.teardown.signal });
+
+    // Battery Status only exists in Chromium; elsewhere power never lowers the level
+    try {
+      this.battery = (await navigator.getBattery?.()) || null;
+      this.battery?.addEventListener('levelchange', refresh, { signal: this.teardown.signal });
+      this.battery?.addEventListener('chargingchange', refresh, { signal: this.teardown.signal });
+    } catch {
+      this.battery = null;
+    }
+
+    this.refresh();
+    return this;
+  }
+
+  compute() {
+    const reasons = [];
+    if (this.query?.matches) reasons.push('prefers-reduced-motion');
+    if (this.preference === 'reduce') reasons.push('user');
+    if (this.connection?.saveData) reasons.push('save-data');
+    if (this.battery && !this.battery.charging && this.battery.level < MOTION_LOW_BATTERY) {
+      reasons.push('low-battery');
+    }
+
+    let level = 'full';
+    if (reasons.includes('save-data') || reasons.includes('low-battery')) level = 'reduced';
+    if (reasons.includes('prefers-reduced-motion') || reasons.includes('user')) level = 'minimal';
+    return { level, paused: document.hidden, reasons };
+  }
+
+  refresh() {
+    const previous = this.state;
+    this.state = this.compute();
+    document.documentElement.dataset.motion = this.state.level;
+    if (previous.level === this.state.level && previous.paused === this.state.paused) return;
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  // The listener runs once immediately, then on every change; returns an unsubscribe
+  subscribe(listener) {
+    this.listeners.push(listener);
+    listener(this.state);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  get level() {
+    return this.state.level;
+  }
+
+  cleanup() {
+    this.teardown.abort();
+    this.listeners = [];
+  }
+
+  setPreference(preference) {
+    this.preference = preference === 'reduce' ? 'reduce' : 'auto';
+    try {
+      this.storage?.setItem(MOTION_KEY, this.preference);
+    } catch (error) {
+      console.error('Could not save motion preference:', error);
+    }
+    this.refresh();
+  }
+}
+
+// ===== THEME =====
+// Picks which block of theme tokens in styles.css applies, as <html data-theme>:
+//   light / dark  prefers-color-scheme, unless the reader chose one
+//   contrast      prefers-contrast: more, or the reader's choice
+//   print         while printing, whatever the choice
+// Charts and particles read the tokens with cssVar(), so they re-theme from onChange.
+const THEME_KEY = 'bored:theme';
+const THEME_CHOICES = { auto: 'Match system', light: 'Light', dark: 'Dark', contrast: 'High contrast' };
+
+class ThemeManager {
+  constructor() {
+    this.queries = {
+      dark: window.matchMedia?.('(prefers-color-scheme: dark)') || null,
+      contrast: window.matchMedia?.('(prefers-contrast: more)') || null
+    };
+    this.printing = false;
+    this.listeners = [];
+    this.teardown = new AbortController();
+    try {
+      this.storage = window.localStorage;
+    } catch {
+      this.storage = null;
+    }
+    const stored = this.storage?.getItem(THEME_KEY);
+    this.preference = Object.hasOwn(THEME_CHOICES, stored) ? stored : 'auto';
+    this.theme = this.compute();
+    document.documentElement.dataset.theme = this.theme;
+  }
+
+  init() {
+    const { signal } = this.teardown;
+    const refresh = () => this.refresh();
+    this.queries.dark?.addEventListener?.('change', refresh, { signal });
+    this.queries.contrast?.addEventListener?.('change', refresh, { signal });
+    // Listeners run synchronously here, so charts are re-themed before the page is laid out for print
+    window.addEventListener('beforeprint', () => {
+      this.printing = true;
+      this.refresh();
+    }, { signal });
+    window.addEventListener('afterprint', () => {
+      this.printing = false;
+      this.refresh();
+    }, { signal });
+    return this;
+  }
+
+  compute() {
+    if (this.printing) return 'print';
+    if (this.preference !== 'auto') return this.preference;
+    if (this.queries.contrast?.matches) return 'contrast';
+    return this.queries.dark?.matches ? 'dark' : 'light';
+  }
+
+  refresh() {
+    const previous = this.theme;
+    this.theme = this.compute();
+    if (previous === this.theme) return;
+    document.documentElement.dataset.theme = this.theme;
+    this.listeners.forEach(listener => listener(this.theme));
+  }
+
+  // Unlike MotionPolicy.subscribe, only changes are reported: the tokens are in
+  // place before any module reads them. Returns an unsubscribe
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  setPreference(preference) {
+    this.preference = Object.hasOwn(THEME_CHOICES, preference) ? preference : 'auto';
+    try {
+      this.storage?.setItem(THEME_KEY, this.preference);
+    } catch (error) {
+      console.error('Could not save theme preference:', error);
+    }
+    this.refresh();
+  }
+
+  cleanup() {
+    this.teardown.abort();
+    this.listeners = [];
+  }
+}
+
+// ===== AUDIO SETTINGS =====
+// Sound preferences persisted in localStorage. "music" only records the reader's
+// intent; UIController resumes playback after the first gesture (autoplay rules).
+const AUDIO_SETTINGS_KEY = 'bored:audio-settings';
+// Volumes are 0–100 slider positions (AudioEngine.toDb); 76 is the original -22 dB
+// master level, so untouched settings sound as loud as they always did
+const AUDIO_DEFAULTS = {
+  music: false,
+  mode: 'ambient',
+  musicVolume: 76,
+  uiVolume: 76,
+  muted: false,
+  reduced: false,
+  preset: 'default'
+};
+const AUDIO_PRESETS = {
+  default: { label: 'Default', musicVolume: 76, uiVolume: 76, reduced: false },
+  immersive: { label: 'Immersive', musicVolume: 100, uiVolume: 86, reduced: false },
+  focus: { label: 'Focus', musicVolume: 60, uiVolume: 0, reduced: true },
+  interface: { label: 'UI sounds only', musicVolume: 0, uiVolume: 86, reduced: false }
+};
+
+class AudioSettings {
+  constructor() {
+    // Storage can throw (privacy modes, sandboxed iframes); settings then last the visit
+    try {
+      this.storage = window.localStorage;
+    } catch {
+      this.storage = null;
+    }
+    this.values = this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(AUDIO_SETTINGS_KEY) || 'null');
+      return { ...AUDIO_DEFAULTS, ...(saved && typeof saved === 'object' ? saved : {}) };
+    } catch {
+      return { ...AUDIO_DEFAULTS };
+    }
+  }
+
+  update(patch) {
+    Object.assign(this.values, patch);
+    try {
+      this.storage?.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(this.values));
+    } catch (error) {
+      console.error('Could not save audio settings:', error);
+    }
+    return this.values;
+  }
+
+  applyPreset(name) {
+    const { label, ...values } = AUDIO_PRESETS[name];
+    return this.update({ ...values, preset: name });
   }
 }
 
 // ===== AUDIO ENGINE =====
+// Scenes follow the AnimationController reveal triggers. mix is a 0–1 level per
+// channel (ambient instruments plus the sonification "data" bus), fade is the
+// crossfade in seconds and the highest-priority active scene wins; hero plays
+// when no section trigger is active.
+const AUDIO_SCENES = {
+  hero: {
+    selector: null, priority: 0, fade: 2,
+    mix: { bells: 1, subBass: 0.7, bass808: 0.9, ambient: 0.5, data: 0.8 }
+  },
+  press: {
+    selector: '.press', priority: 1, fade: 1.5,
+    mix: { bells: 0.8, subBass: 0.5, bass808: 0.6, ambient: 0.4, data: 0.8 }
+  },
+  story: {
+    selector: '.story-card', priority: 2, fade: 2.5,
+    mix: { bells: 0.6, subBass: 0.6, bass808: 0, ambient: 0.6, data: 1 }
+  },
+  'voice-moment': {
+    selector: '.voice-moment', priority: 3, fade: 3,
+    mix: { bells: 0.4, subBass: 0.3, bass808: 0.2, ambient: 1, data: 0.6 }
+  }
+};
+
+// Channels silenced by the reduced-audio setting
+const REDUCED_AUDIO_MUTES = ['subBass', 'bass808'];
+
 class AudioEngine {
   constructor() {
     this.audioStarted = false;
@@ -62,61 +532,98 @@ class AudioEngine {
     this.synths = {};
     this.loops = {};
     this.effects = {};
+    this.buses = {}; // music and UI sounds, each with its own volume
+    this.channels = {};
+    this.settings = { ...AUDIO_DEFAULTS };
+    this.scene = 'hero';
+    this.mode = 'ambient'; // 'ambient' | 'sonify'
+    this.sonification = { charts: null, chart: null, voices: null, sequence: null, observer: null };
+    this.teardown = new AbortController(); // aborts every window/document listener
   }
 
   // Initialize synths/effects - ONLY called after Tone.start()
   initAudio() {
     try {
+      this.buses.music = new Tone.Volume().toDestination();
+      this.buses.ui = new Tone.Volume().toDestination();
+
       this.effects.reverb = new Tone.Reverb({ 
         decay: 12, preDelay: 0.02, wet: 0.8 
-      }).toDestination();
+      }).connect(this.buses.music);
       
       this.effects.delay = new Tone.FeedbackDelay("8n.", 0.6)
         .connect(this.effects.reverb);
 
+      // One gain per instrument so scenes can crossfade the mix
+      const channel = (name, output) => {
+        this.channels[name] = new Tone.Gain(this.sceneLevel(name)).connect(output);
+        return this.channels[name];
+      };
+
       this.synths.bells = new Tone.Synth({ 
         oscillator: { type: "sine" }, 
         envelope: { attack: .05, decay: 2, sustain: .3, release: 4 }, 
         volume: -32 
-      }).connect(this.effects.delay);
+      }).connect(channel('bells', this.effects.delay));
 
       this.synths.subBass = new Tone.Synth({ 
         oscillator: { type: "sine" }, 
         envelope: { attack: .01, decay: .5, sustain: .7, release: 1 }, 
         volume: -12 
-      }).toDestination();
+      }).connect(channel('subBass', this.buses.music));
 
       this.synths.bass808 = new Tone.MembraneSynth({ 
         pitchDecay: .1, octaves: 3, 
         oscillator: { type: "sine" }, 
         envelope: { attack: .001, decay: .4, sustain: .05, release: 1 }, 
         volume: -18 
-      }).toDestination();
+      }).connect(channel('bass808', this.buses.music));
 
       this.synths.ambient = new Tone.Synth({ 
         oscillator: { type: "triangle" }, 
         envelope: { attack: 6, decay: 4, sustain: .5, release: 8 }, 
         volume: -28 
-      }).connect(this.effects.reverb);
+      }).connect(channel('ambient', this.effects.reverb));
+
+      channel('data', this.effects.reverb);
 
-      Tone.getDestination().volume.value = -22;
+      // Audio graph voice for ChartAccessibility; outside the buses so it is
+      // heard even with music and UI sounds turned down (mute-all still applies)
+      this.synths.graph = new Tone.Synth({
+        oscillator: { type: "triangle" },
+        envelope: { attack: .005, decay: .05, sustain: .6, release: .05 },
+        volume: -16
+      }).toDestination();
+
+      this.synths.ui = new Tone.Synth({
+        oscillator: { type: "sine" },
+        envelope: { attack: .005, decay: .3, sustain: 0, release: .6 },
+        volume: -24
+      }).connect(this.buses.ui);
+
+      this.applySettings();
     } catch (error) {
       console.error('Audio initialization failed:', error);
     }
   }
 
+  // Starts the audio context; browsers only allow this inside a user gesture
+  async unlock() {
+    if (this.audioStarted) return true;
+    try {
+      await Tone.start();
+      this.initAudio();
+      this.audioStarted = true;
+      return true;
+    } catch (error) {
+      console.error('Failed to start audio context:', error);
+      return false;
+    }
+  }
+
   async start() {
     // First click: start audio context and init everything
-    if (!this.audioStarted) {
-      try {
-        await Tone.start();
-        this.initAudio();
-        this.audioStarted = true;
-      } catch (error) {
-        console.error('Failed to start audio context:', error);
-        return;
-      }
-    }
+    if (!(await this.unlock())) return;
 
     // Toggle music on/off
     if (this.musicEnabled) {
@@ -126,50 +633,148 @@ class AudioEngine {
 
     // Start the music
     try {
-      const bellMelody = ["E5", null, "G5", null, "A5", null, "E5", null, 
+      if (this.mode === 'sonify' && this.sonification.charts) {
+        this.startSonification();
+      } else {
+        this.startAmbient();
+      }
+      Tone.getTransport().start();
+      this.musicEnabled = true;
+    } catch (error) {
+      console.error('Failed to start soundscape:', error);
+    }
+  }
+
+  startAmbient() {
+    const bellMelody = ["E5", null, "G5", null, "A5", null, "E5", null, 
                           "D5", null, "A4", null, "E5", null, null, null, 
                           "G5", null, "A5", null, "B5", null, "A5", null, 
                           "G5", null, "E5", null, "D5", null, null, null];
       let bellIndex = 0;
 
-      this.loops.bells = new Tone.Loop((time) => {
-        const note = bellMelody[bellIndex];
-        if (note) {
-          this.synths.bells.triggerAttackRelease(note, "2n", time);
-        }
-        bellIndex = (bellIndex + 1) % bellMelody.length;
-      }, "4n");
+    this.loops.bells = new Tone.Loop((time) => {
+      const note = bellMelody[bellIndex];
+      if (note) {
+        this.synths.bells.triggerAttackRelease(note, "2n", time);
+      }
+      bellIndex = (bellIndex + 1) % bellMelody.length;
+    }, "4n");
 
-      this.loops.subBass = new Tone.Loop((time) => {
-        this.synths.subBass.triggerAttackRelease("C1", "4n", time);
-      }, "2n");
+    this.loops.subBass = new Tone.Loop((time) => {
+      this.synths.subBass.triggerAttackRelease("C1", "4n", time);
+    }, "2n");
 
-      this.loops.bass = new Tone.Loop((time) => {
-        this.synths.bass808.triggerAttackRelease("C1", "8n", time);
-        this.synths.bass808.triggerAttackRelease("C1", "16n", time + 0.375);
-      }, "1n");
+    this.loops.bass = new Tone.Loop((time) => {
+      this.synths.bass808.triggerAttackRelease("C1", "8n", time);
+      this.synths.bass808.triggerAttackRelease("C1", "16n", time + 0.375);
+    }, "1n");
 
-      this.loops.pad = new Tone.Loop((time) => {
-        this.synths.ambient.triggerAttackRelease("C2", "1m", time);
-      }, "1m");
+    this.loops.pad = new Tone.Loop((time) => {
+      this.synths.ambient.triggerAttackRelease("C2", "1m", time);
+    }, "1m");
 
-      this.loops.bells.start(0);
-      this.loops.subBass.start("1m");
-      this.loops.bass.start("2m");
-      this.loops.pad.start(0);
+    this.loops.bells.start(0);
+    this.loops.subBass.start("1m");
+    this.loops.bass.start("2m");
+    this.loops.pad.start(0);
 
-      Tone.getTransport().bpm.value = 140;
-      Tone.getTransport().start();
-      this.musicEnabled = true;
-    } catch (error) {
-      console.error('Failed to start soundscape:', error);
+    Tone.getTransport().bpm.value = 140;
+  }
+
+  // ----- Scenes: mix follows the section on screen (see AUDIO_SCENES) -----
+  attachScenes(animation) {
+    const active = new Set();
+    animation.onTriggerToggle((el, isActive) => {
+      if (isActive) active.add(el);
+      else active.delete(el);
+
+      const [name] = Object.entries(AUDIO_SCENES)
+        .filter(([, scene]) => scene.selector && [...active].some(e => e.matches(scene.selector)))
+        .sort((a, b) => b[1].priority - a[1].priority)[0] || ['hero'];
+      this.setScene(name);
+    });
+  }
+
+  sceneLevel(channel) {
+    if (this.settings.reduced && REDUCED_AUDIO_MUTES.includes(channel)) return 0;
+    return AUDIO_SCENES[this.scene].mix[channel] ?? 1;
+  }
+
+  setScene(name) {
+    if (name === this.scene || !AUDIO_SCENES[name]) return;
+    this.scene = name;
+    const { fade } = AUDIO_SCENES[name];
+    Object.entries(this.channels).forEach(([channel, gain]) => {
+      gain.gain.rampTo(this.sceneLevel(channel), fade);
+    });
+  }
+
+  // ----- Sonification: the soundtrack follows whichever chart is on screen -----
+  attachCharts(chartManager) {
+    this.sonification.charts = chartManager;
+    const ids = Object.values(chartManager.charts);
+    if (!ids.length || !window.IntersectionObserver) return;
+
+    const ratios = {};
+    this.sonification.observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => { ratios[entry.target.id] = entry.intersectionRatio; });
+      const [id, ratio] = Object.entries(ratios).sort((a, b) => b[1] - a[1])[0];
+      if (ratio > 0) this.showChart(id.replace(/-chart$/, ''));
+    }, { threshold: [0, 0.25, 0.5, 0.75] });
+    ids.forEach(id => this.sonification.observer.observe(document.getElementById(id)));
+
+    // Toggling anxiety series or its scale changes what is being sonified
+    document.addEventListener('chart:interaction', (event) => {
+      const { chart, action } = event.detail;
+      if (!this.musicEnabled || this.mode !== 'sonify') return;
+      if ((action === 'toggle' || action === 'scale') && chart === this.sonification.chart) {
+        this.playChart(chart);
+      }
+    }, { signal: this.teardown.signal });
+  }
+
+  showChart(key) {
+    if (key === this.sonification.chart) return;
+    this.sonification.chart = key;
+    if (this.musicEnabled && this.mode === 'sonify') this.playChart(key);
+  }
+
+  async setMode(mode) {
+    if (mode === this.mode) return;
+    const wasPlaying = this.musicEnabled;
+    if (wasPlaying) this.stop();
+    this.mode = mode;
+    if (wasPlaying) await this.start();
+  }
+
+  startSonification() {
+    this.sonification.voices ||= Sonification.createVoices(this.channels.data);
+    this.playChart(this.sonification.chart || Object.keys(this.sonification.charts.charts)[0]);
+  }
+
+  // Swap scores on the next bar line so the change lands on the beat
+  playChart(key) {
+    const { charts, voices, sequence: previous } = this.sonification;
+    if (!voices || !charts?.charts[key]) return;
+
+    const transport = Tone.getTransport();
+    const at = transport.state === 'started' ? transport.nextSubdivision('1m') : 0;
+    if (previous) {
+      previous.stop(at);
+      transport.scheduleOnce(() => previous.dispose(), at + 0.1);
     }
+
+    const steps = Sonification.score(Sonification.channels(key, charts));
+    this.sonification.chart = key;
+    this.sonification.sequence = Sonification.schedule(transport, voices, steps, at);
   }
 
   stop() {
     Object.values(this.loops).forEach(loop => {
       if (loop && loop.stop) loop.stop();
     });
+    this.sonification.sequence?.dispose();
+    this.sonification.sequence = null;
     if (Tone.getTransport) {
       Tone.getTransport().stop();
     }
@@ -177,21 +782,53 @@ class AudioEngine {
   }
 
   playClick() {
-    if (this.audioStarted && this.synths.bells) {
-      this.synths.bells.triggerAttackRelease("A5", "32n", "+0.02");
+    if (this.audioStarted && this.synths.ui && this.settings.uiVolume > 0) {
+      this.synths.ui.triggerAttackRelease("A5", "32n", "+0.02");
     }
   }
 
   playHover() {
-    if (this.audioStarted && this.synths.bells) {
-      this.synths.bells.triggerAttackRelease("E5", "64n", "+0.01");
+    if (this.settings.reduced) return;
+    if (this.audioStarted && this.synths.ui && this.settings.uiVolume > 0) {
+      this.synths.ui.triggerAttackRelease("E5", "64n", "+0.01");
     }
   }
 
   setVolume(value) {
-    if (!Tone.getDestination) return;
-    const volumeDb = -60 + (value / 100) * 50;
-    Tone.getDestination().volume.value = volumeDb;
+    this.applySettings({ musicVolume: Number(value) });
+  }
+
+  // Tone-pitch audio graph: one note per value over two octaves, nulls are rests
+  async playSeries(values, duration = 4) {
+    if (!(await this.unlock()) || !this.synths.graph) return;
+    const step = duration / values.length;
+    const now = Tone.now() + 0.05;
+    Sonification.normalize(values).forEach((n, i) => {
+      if (n === null) return;
+      this.synths.graph.triggerAttackRelease(220 * 2 ** (n * 2), step * 0.9, now + i * step);
+    });
+  }
+
+  // 0–100 slider → -60..-10 dB, the range the original master slider mapped to
+  static toDb(value) {
+    return -60 + (value / 100) * 50;
+  }
+
+  // Settings are kept even before the context exists and applied in initAudio()
+  applySettings(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    if (!this.buses.music) return;
+
+    const setBus = (bus, value) => {
+      bus.mute = value <= 0;
+      if (value > 0) bus.volume.rampTo(AudioEngine.toDb(value), 0.1);
+    };
+    setBus(this.buses.music, this.settings.musicVolume);
+    setBus(this.buses.ui, this.settings.uiVolume);
+    Tone.getDestination().mute = this.settings.muted;
+    Object.entries(this.channels).forEach(([channel, gain]) => {
+      gain.gain.rampTo(this.sceneLevel(channel), 0.3);
+    });
   }
 
   cleanup() {
@@ -202,14 +839,134 @@ class AudioEngine {
     Object.values(this.effects).forEach(effect => {
       if (effect && effect.dispose) effect.dispose();
     });
+    Object.values(this.channels).forEach(gain => gain.dispose());
+    Object.values(this.buses).forEach(bus => bus.dispose());
+    Object.values(this.sonification.voices || {}).forEach(voice => voice.dispose());
+    this.sonification.observer?.disconnect();
+    this.teardown.abort();
+  }
+}
+
+// ===== SONIFICATION =====
+// Turns the visible chart into a score. Each channel is normalized 0–1 over its own
+// range: melody → pitch on a pentatonic scale, density → pad voices, filter → cutoff
+// (higher values sound darker), tempo → BPM. Scores are plain data so they can be
+// checked in Node; schedule() and render() need Tone.js.
+const SONIFICATION_SCALE = ['A3', 'C4', 'D4', 'E4', 'G4', 'A4', 'C5', 'D5', 'E5', 'G5', 'A5'];
+const SONIFICATION_PAD = ['A2', 'E3', 'C4', 'G4'];
+const SONIFICATION_TEMPO = [84, 124];
+
+class Sonification {
+  static normalize(values) {
+    const finite = values.filter(v => v !== null && Number.isFinite(v));
+    const min = Math.min(...finite);
+    const span = Math.max(...finite) - min;
+    return values.map(v => (v === null || !Number.isFinite(v) ? null : span ? (v - min) / span : 0.5));
+  }
+
+  // Linear interpolation, clamped to the series' first/last value
+  static sampleAt(xs, ys, x) {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+    const i = xs.findIndex(v => v >= x);
+    const t = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+    return ys[i - 1] + (ys[i] - ys[i - 1]) * t;
+  }
+
+  // Channel arrays (same length, one entry per step) for a chart managed by ChartManager
+  static channels(key, charts) {
+    if (key === 'intimacy') {
+      const s = charts.intimacySeries;
+      const lead = s['sexual-frequency'];
+      const at = (id) => lead.x.map(x => Sonification.sampleAt(s[id].x, s[id].y, x));
+      return {
+        melody: lead.y,
+        density: at('ssri-prescriptions'),
+        filter: at('screen-time'),
+        tempo: at('marriage-rate')
+      };
+    }
+
+    // Anxiety: composite of the series the reader has switched on
+    const index = charts.anxietyIndex;
+    const active = charts.anxietyMetrics
+      .filter(m => charts.activeMetrics[m.key])
+      .map(m => index.series[m.key].values);
+    const at = (i) => active.map(values => values[i]).filter(v => v !== null);
+    const mean = index.dates.map((_, i) => {
+      const v = at(i);
+      return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+    });
+    return {
+      melody: mean,
+      density: index.dates.map((_, i) => at(i).filter(v => v > 50).length),
+      filter: index.dates.map((_, i) => (at(i).length ? Math.max(...at(i)) : null)),
+      tempo: mean
+    };
+  }
+
+  static score({ melody, density, filter, tempo }) {
+    const [pitch, voices, cutoff, bpm] = [melody, density, filter, tempo].map(Sonification.normalize);
+    const top = SONIFICATION_SCALE.length - 1;
+    return pitch.map((p, i) => ({
+      note: p === null ? null : SONIFICATION_SCALE[Math.round(p * top)],
+      voices: 1 + Math.round((voices[i] ?? 0) * (SONIFICATION_PAD.length - 1)),
+      cutoff: Math.round(4000 * 2 ** (-(cutoff[i] ?? 0.5) * 3)),
+      bpm: Math.round(SONIFICATION_TEMPO[0] + (bpm[i] ?? 0.5) * (SONIFICATION_TEMPO[1] - SONIFICATION_TEMPO[0]))
+    }));
+  }
+
+  static createVoices(output = null) {
+    const filter = new Tone.Filter(1200, 'lowpass');
+    if (output) filter.connect(output);
+    else filter.toDestination();
+
+    const lead = new Tone.Synth({
+      oscillator: { type: 'sine' },
+      envelope: { attack: .02, decay: 1.2, sustain: .2, release: 2 },
+      volume: -26
+    }).connect(filter);
+    const pad = new Tone.PolySynth(Tone.Synth, {
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 1.5, decay: 2, sustain: .5, release: 4 },
+      volume: -34
+    }).connect(filter);
+
+    return { filter, lead, pad };
+  }
+
+  // One quarter note per data point; the pad re-voices once per bar
+  static schedule(transport, voices, steps, startAt = 0) {
+    const sequence = new Tone.Sequence((time, step) => {
+      transport.bpm.setValueAtTime(step.bpm, time);
+      voices.filter.frequency.rampTo(step.cutoff, 0.5, time);
+      if (step.note) voices.lead.triggerAttackRelease(step.note, '8n', time);
+      if (step.index % 4 === 0) {
+        voices.pad.triggerAttackRelease(SONIFICATION_PAD.slice(0, step.voices), '1m', time, 0.4);
+      }
+    }, steps.map((step, index) => ({ ...step, index })), '4n');
+    sequence.start(startAt);
+    return sequence;
+  }
+
+  // Offline render for checking a mapping without touching the page's AudioContext:
+  //   const buffer = await Sonification.render(Sonification.score(channels), 10);
+  static render(steps, duration = 8) {
+    return Tone.Offline(({ transport }) => {
+      const voices = Sonification.createVoices();
+      Sonification.schedule(transport, voices, steps);
+      transport.start();
+    }, duration);
   }
 }
 
 // ===== CURSOR MANAGER =====
 class CursorManager {
-  constructor(audioEngine) {
+  constructor(audioEngine, motion = null) {
     this.cursor = document.getElementById('custom-cursor');
     this.audioEngine = audioEngine;
+    this.motion = motion;
+    this.teardown = new AbortController();
     this.mouseX = 0;
     this.mouseY = 0;
     this.cursorX = 0;
@@ -227,10 +984,35 @@ class CursorManager {
     document.addEventListener('mousemove', (e) => {
       this.mouseX = e.clientX;
       this.mouseY = e.clientY;
-    });
+    }, { signal: this.teardown.signal });
 
-    this.animate();
     this.attachHoverListeners();
+    if (this.motion) {
+      this.motion.subscribe(state => this.applyMotion(state));
+    } else {
+      this.start();
+    }
+  }
+
+  // Minimal motion falls back to the native cursor; a hidden tab just pauses the lerp
+  applyMotion({ level, paused }) {
+    const native = level === 'minimal';
+    document.body.style.cursor = native ? 'auto' : '';
+    this.cursor.style.display = native ? 'none' : '';
+    if (native || paused) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  start() {
+    if (this.rafId === null) this.animate();
+  }
+
+  stop() {
+    if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
   }
 
   animate() {
@@ -250,41 +1032,185 @@ class CursorManager {
         if (this.audioEngine?.audioStarted) {
           this.audioEngine.playHover();
         }
-      });
+      }, { signal: this.teardown.signal });
       el.addEventListener('mouseleave', () => {
         this.cursor.classList.remove('hover');
-      });
+      }, { signal: this.teardown.signal });
       el.addEventListener('click', () => {
         // Only play sound if audio is actually started
         if (this.audioEngine?.audioStarted) {
           this.audioEngine.playClick();
         }
-      });
+      }, { signal: this.teardown.signal });
     });
   }
 
   cleanup() {
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-    }
+    this.stop();
+    this.teardown.abort();
   }
 }
 
 // ===== THREE.JS BACKGROUND =====
-class ThreeBackground {
-  constructor() {
-    this.scene = null;
-    this.camera = null;
-    this.renderer = null;
-    this.particles = null;
-    this.mouseX = 0;
-    this.mouseY = 0;
-    this.frame = 0;
-    this.rafId = null;
+// A drifting particle field that re-forms into the story on screen: the intimacy
+// lines extruded into ribbons, measles cases stacked one column per quarter.
+// Particles are instanced quads: one draw call, and unlike gl_PointSize no
+// driver-dependent size cap. Everything per-frame runs in the vertex shader: noise
+// drift, the morph between two formations (GSAP tweens uMorph), mouse repulsion and
+// depth fade. The instance count follows the measured frame time within a
+// per-device budget.
+const PARTICLE_BUDGET = {
+  desktop: { min: 300, start: 800, max: 2400 },
+  mobile: { min: 120, start: 240, max: 600 }
+};
+const FRAME_TIME = { slow: 22, fast: 18 }; // ms; above sheds particles, below adds
+const ADAPT_EVERY = 90; // frames between count adjustments
+const FORMATION_DURATION = 1.6;
+const PALETTE_SIZE = 6;
+const GOLDEN = 0.6180339887;
+const PLASTIC = [0.7548776662, 0.5698402910]; // 2D low-discrepancy steps
+
+// Shared with ChartManager.loadColors so particles and charts read the same tokens
+const cssVar = (name) => getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+
+// Colours are CSS custom properties, read when the theme is applied
+const PARTICLE_THEMES = {
+  accent: { colors: ['--accent'], opacity: 0.15, drift: 1.5 },
+  series: {
+    colors: ['--c-tradwife', '--c-measles', '--c-unemployment', '--c-eggs', '--c-gold', '--c-beef'],
+    opacity: 0.25,
+    drift: 1.5
+  },
+  intimacy: { colors: ['--accent'], opacity: 0.35, drift: 0.4 },
+  measles: { colors: ['--c-measles'], opacity: 0.4, drift: 0.3 }
+};
+
+// Same reveal triggers as the audio scenes; the last match with data wins
+const STORY_FORMATIONS = [
+  { selector: '[data-story="intimacy"]', formation: 'intimacy', theme: 'intimacy' },
+  { selector: '[data-story="anxiety"]', formation: 'measles', theme: 'measles' }
+];
+
+const PARTICLE_VERTEX = `
+  uniform float uTime;
+  uniform float uMorph;
+  uniform float uDriftFrom;
+  uniform float uDriftTo;
+  uniform float uSize;
+  uniform float uScale;
+  uniform vec2 uViewport;
+  uniform float uOpacityFrom;
+  uniform float uOpacityTo;
+  uniform vec3 uMouse;
+  uniform float uRepel;
+  uniform vec3 uPaletteFrom[${PALETTE_SIZE}];
+  uniform vec3 uPaletteTo[${PALETTE_SIZE}];
+  uniform float uPaletteSizeFrom;
+  uniform float uPaletteSizeTo;
+
+  attribute vec3 aFrom;
+  attribute vec3 aTo;
+  attribute float aSeed;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+  varying vec2 vUv;
+
+  float hash(vec3 p) {
+    return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
   }
 
-  init() {
-    if (window.innerWidth <= 768) return;
+  // Value noise in -1..1
+  float noise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(mix(hash(i), hash(i + vec3(1, 0, 0)), f.x), mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+      mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x), mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y),
+      f.z
+    ) * 2.0 - 1.0;
+  }
+
+  vec3 pick(float index, float size, bool to) {
+    float k = mod(floor(index), size);
+    vec3 color = vec3(1.0);
+    for (int i = 0; i < ${PALETTE_SIZE}; i++) {
+      if (float(i) == k) color = to ? uPaletteTo[i] : uPaletteFrom[i];
+    }
+    return color;
+  }
+
+  void main() {
+    vec3 p = mix(aFrom, aTo, uMorph);
+    vec3 q = p * 0.04 + vec3(aSeed * 7.0, aSeed * 13.0, uTime * 0.08);
+    p += mix(uDriftFrom, uDriftTo, uMorph) * vec3(noise(q), noise(q + 17.0), noise(q + 41.0));
+
+    // Repel in world space so the cursor pushes whatever is under it, however rotated
+    vec4 world = modelMatrix * vec4(p, 1.0);
+    vec2 away = world.xy - uMouse.xy;
+    float push = uRepel * (1.0 - smoothstep(0.0, uMouse.z, length(away)));
+    world.xy += normalize(away + vec2(0.0001)) * push;
+
+    // Billboard: the quad's corner (position, ±0.5) is offset in screen pixels
+    vec4 view = viewMatrix * world;
+    float depth = -view.z;
+    float size = uSize * uScale / max(depth, 1.0);
+    gl_Position = projectionMatrix * view;
+    gl_Position.xy += position.xy * size * 2.0 / uViewport * gl_Position.w;
+    vUv = position.xy + 0.5;
+
+    float fade = smoothstep(2.0, 12.0, depth) * (1.0 - smoothstep(60.0, 150.0, depth));
+    vAlpha = mix(uOpacityFrom, uOpacityTo, uMorph) * fade;
+    vColor = mix(pick(aSeed * 997.0, uPaletteSizeFrom, false), pick(aSeed * 997.0, uPaletteSizeTo, true), uMorph);
+  }
+`;
+
+const PARTICLE_FRAGMENT = `
+  varying vec3 vColor;
+  varying float vAlpha;
+  varying vec2 vUv;
+
+  void main() {
+    float d = length(vUv - 0.5);
+    if (d > 0.5) discard;
+    gl_FragColor = vec4(vColor, vAlpha * (1.0 - smoothstep(0.3, 0.5, d)));
+  }
+`;
+
+class ThreeBackground {
+  constructor(motion = null, random = new Random().fork('three')) {
+    this.motion = motion;
+    this.random = random;
+    this.level = 'full';
+    this.teardown = new AbortController();
+    this.scene = null;
+    this.camera = null;
+    this.renderer = null;
+    this.particles = null;
+    this.uniforms = null;
+    this.mobile = false;
+    this.budget = PARTICLE_BUDGET.desktop;
+    this.active = 0;
+    this.frameTime = 16;
+    this.lastFrame = 0;
+    this.sampled = 0;
+    this.charts = null;
+    this.formations = {};
+    this.current = 'field';
+    this.baseTheme = 'accent';
+    this.theme = null;
+    this.offTheme = null;
+    this.morph = null;
+    this.mouseX = 0;
+    this.mouseY = 0;
+    this.frame = 0;
+    this.rafId = null;
+  }
+
+  init() {
+    this.mobile = window.innerWidth <= CHART_BREAKPOINTS.tablet;
+    this.budget = this.mobile ? PARTICLE_BUDGET.mobile : PARTICLE_BUDGET.desktop;
 
     try {
       this.scene = new THREE.Scene();
@@ -297,68 +1223,385 @@ class ThreeBackground {
       this.camera.position.z = 50;
 
       const canvas = document.getElementById('three-bg');
+      this.baseTheme = PARTICLE_THEMES[canvas.dataset.theme] ? canvas.dataset.theme : 'accent';
       this.renderer = new THREE.WebGLRenderer({ 
         canvas, 
         alpha: true, 
         antialias: false 
       });
       this.renderer.setSize(window.innerWidth, window.innerHeight);
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
+      this.renderer.setPixelRatio(this.mobile ? 1 : Math.min(window.devicePixelRatio, 1.5));
 
       this.createParticles();
-      this.animate();
       this.handleResize();
 
-      document.addEventListener('mousemove', (e) => {
-        this.mouseX = e.clientX;
-        this.mouseY = e.clientY;
-      });
+      if (!this.mobile) {
+        document.addEventListener('mousemove', (e) => {
+          this.mouseX = e.clientX;
+          this.mouseY = e.clientY;
+        }, { signal: this.teardown.signal });
+      }
     } catch (error) {
       console.error('Three.js init failed:', error);
+      return;
     }
-  }
 
-  createParticles() {
-    const geometry = new THREE.BufferGeometry();
-    const count = 800;
-    const positions = new Float32Array(count * 3);
+    if (this.motion) {
+      this.motion.subscribe(state => this.applyMotion(state));
+    } else {
+      this.start();
+    }
+  }
 
-    for (let i = 0; i < count * 3; i++) {
-      positions[i] = (Math.random() - 0.5) * 200;
+  // Minimal motion keeps a single still frame instead of the drifting field;
+  // low-power mode holds the particle count at the budget's floor
+  applyMotion({ level, paused }) {
+    this.level = level;
+    if (level === 'reduced') this.setActive(this.budget.min);
+    if (level === 'minimal' || paused) {
+      this.stop();
+      if (level === 'minimal') this.renderer.render(this.scene, this.camera);
+    } else {
+      this.start();
     }
+  }
 
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    
-    const material = new THREE.PointsMaterial({
-      size: 1.0,
-      color: 0xff6b9d,
+  start() {
+    if (this.rafId !== null) return;
+    this.lastFrame = 0;
+    this.animate(performance.now());
+  }
+
+  stop() {
+    if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+  }
+
+  // One unit quad instanced per particle. Instance buffers hold the budget's
+  // maximum; instanceCount decides how many render
+  createParticles() {
+    const { max } = this.budget;
+    const quad = new THREE.PlaneGeometry(1, 1);
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.index = quad.index;
+    geometry.setAttribute('position', quad.getAttribute('position'));
+    this.formations.field = ThreeBackground.fieldFormation(max, this.random);
+
+    const seeds = new Float32Array(max);
+    for (let i = 0; i < max; i++) seeds[i] = (i * GOLDEN) % 1;
+    geometry.setAttribute('aFrom', new THREE.InstancedBufferAttribute(Float32Array.from(this.formations.field), 3));
+    geometry.setAttribute('aTo', new THREE.InstancedBufferAttribute(Float32Array.from(this.formations.field), 3));
+    geometry.setAttribute('aSeed', new THREE.InstancedBufferAttribute(seeds, 1));
+
+    const palette = () => Array.from({ length: PALETTE_SIZE }, () => new THREE.Color());
+    this.uniforms = {
+      uTime: { value: 0 },
+      uMorph: { value: 1 },
+      uDriftFrom: { value: 0 },
+      uDriftTo: { value: 0 },
+      uSize: { value: this.mobile ? 1.6 : 1.0 },
+      uScale: { value: 1 },
+      uViewport: { value: new THREE.Vector2(1, 1) },
+      uOpacityFrom: { value: 0 },
+      uOpacityTo: { value: 0 },
+      uMouse: { value: new THREE.Vector3(0, 0, 12) }, // z is the repulsion radius
+      uRepel: { value: 0 },
+      uPaletteFrom: { value: palette() },
+      uPaletteTo: { value: palette() },
+      uPaletteSizeFrom: { value: 1 },
+      uPaletteSizeTo: { value: 1 }
+    };
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: PARTICLE_VERTEX,
+      fragmentShader: PARTICLE_FRAGMENT,
       transparent: true,
-      opacity: 0.15,
+      depthWrite: false,
       blending: THREE.NormalBlending
     });
 
-    this.particles = new THREE.Points(geometry, material);
+    // The quad's bounds say nothing about where the shader puts the instances
+    this.particles = new THREE.Mesh(geometry, material);
+    this.particles.frustumCulled = false;
     this.scene.add(this.particles);
+    this.setActive(this.budget.start);
+    this.applyTheme(this.baseTheme, false);
+    this.updateScale();
   }
 
-  animate() {
-    this.rafId = requestAnimationFrame(() => this.animate());
+  setActive(count) {
+    this.active = Math.max(this.budget.min, Math.min(this.budget.max, Math.round(count)));
+    if (this.particles) this.particles.geometry.instanceCount = this.active;
+  }
 
-    // Skip every other frame for performance
-    if (this.frame % 2 !== 0) {
-      this.frame++;
-      return;
+  // Grows or sheds particles to hold the frame rate, judged on a smoothed frame time
+  adapt(now) {
+    if (this.lastFrame) {
+      const dt = now - this.lastFrame;
+      if (dt < 250) this.frameTime += (dt - this.frameTime) * 0.05; // ignore stalls and tab switches
     }
+    this.lastFrame = now;
+    if (this.level !== 'full' || ++this.sampled < ADAPT_EVERY) return;
 
-    if (this.particles) {
-      this.particles.rotation.y += 0.0002;
-      this.particles.rotation.x += 0.0001;
-      this.particles.rotation.y += this.mouseX * 0.00003;
-      this.particles.rotation.x += this.mouseY * 0.00003;
+    this.sampled = 0;
+    if (this.frameTime > FRAME_TIME.slow) this.setActive(this.active * 0.75);
+    else if (this.frameTime < FRAME_TIME.fast && this.active < this.budget.max) this.setActive(this.active * 1.15);
+  }
+
+  // Size attenuation as PointsMaterial does it (half the drawing buffer height),
+  // plus the buffer size the shader turns pixels into clip space with
+  updateScale() {
+    if (!this.uniforms) return;
+    this.renderer.getDrawingBufferSize(this.uniforms.uViewport.value);
+    this.uniforms.uScale.value = this.uniforms.uViewport.value.y / 2;
+  }
+
+  // Reads a theme's CSS colours into the "to" side of the morph; without a morph
+  // (morph = false) both sides change, for re-theming in place
+  applyTheme(name, morph = true) {
+    const theme = PARTICLE_THEMES[name] || PARTICLE_THEMES.accent;
+    const u = this.uniforms;
+    if (!u) return;
+    this.theme = name;
+
+    const colors = theme.colors.slice(0, PALETTE_SIZE).map(key => cssVar(key) || '#ff6b9d');
+    u.uPaletteTo.value.forEach((color, i) => color.set(colors[i % colors.length]));
+    u.uPaletteSizeTo.value = colors.length;
+    u.uOpacityTo.value = theme.opacity;
+    u.uDriftTo.value = theme.drift;
+    if (!morph) {
+      u.uPaletteFrom.value.forEach((color, i) => color.copy(u.uPaletteTo.value[i]));
+      u.uPaletteSizeFrom.value = colors.length;
+      u.uOpacityFrom.value = theme.opacity;
+      u.uDriftFrom.value = theme.drift;
+    }
+    if (this.rafId === null && this.renderer) this.renderer.render(this.scene, this.camera);
+  }
+
+  // Field theme, e.g. after the page's colour tokens change; formations keep theirs
+  setTheme(name) {
+    if (!PARTICLE_THEMES[name]) return;
+    this.baseTheme = name;
+    const story = STORY_FORMATIONS.find(f => f.formation === this.current);
+    this.applyTheme(story?.theme || name, false);
+  }
+
+  // The palettes are CSS tokens, so a page theme switch only has to re-read them
+  attachTheme(theme) {
+    this.offTheme?.();
+    this.offTheme = theme.onChange(() => this.setTheme(this.baseTheme));
+  }
+
+  // ----- Story formations -----
+  // Follows the reveal triggers; charts supply the data, so without them the
+  // field simply stays a field. Returns the handle the registry cleans up
+  attachStory(animation, charts) {
+    this.charts = charts;
+    const active = new Set();
+    const off = animation.onTriggerToggle((el, isActive) => {
+      if (isActive) active.add(el);
+      else active.delete(el);
+
+      const match = STORY_FORMATIONS
+        .filter(({ selector, formation }) => [...active].some(e => e.matches(selector)) && this.formation(formation))
+        .pop();
+      this.form(match?.formation || 'field', match?.theme || this.baseTheme);
+    });
+
+    return {
+      cleanup: () => {
+        off();
+        this.morph?.kill();
+        this.charts = null;
+      }
+    };
+  }
+
+  formation(name) {
+    if (!this.formations[name]) {
+      try {
+        this.formations[name] = this.buildFormation(name);
+      } catch (error) {
+        console.error(`Particle formation "${name}" unavailable:`, error);
+      }
+    }
+    return this.formations[name] || null;
+  }
+
+  buildFormation(name) {
+    const view = this.viewSize();
+    const box = { width: view.width * 0.8, height: view.height * 0.6 };
+    const { max } = this.budget;
+    if (name === 'intimacy') {
+      const series = this.charts?.intimacySeries;
+      if (!series) return null;
+      return ThreeBackground.lineFormation(max, [series['sexual-frequency'], series['ssri-prescriptions']], box);
+    }
+    if (name === 'measles') {
+      const measles = this.charts?.anxietyIndex?.series.measles;
+      if (!measles) return null;
+      return ThreeBackground.clusterFormation(max, measles.raw, box);
+    }
+    return null;
+  }
+
+  // World units visible at z = 0, where the formations sit
+  viewSize() {
+    const height = 2 * this.camera.position.z * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+    return { width: height * this.camera.aspect, height };
+  }
+
+  // rebuild re-forms the formation already on screen (after a resize). Returns
+  // false, leaving the current formation in place, when `name` can't be built
+  form(name, theme = this.baseTheme, rebuild = false) {
+    const target = this.formation(name);
+    if (!target || !this.particles || (name === this.current && !rebuild)) return false;
+    this.current = name;
+
+    // Start the new morph from wherever the particles are now, colours included
+    const { aFrom, aTo } = this.particles.geometry.attributes;
+    const u = this.uniforms;
+    const t = u.uMorph.value;
+    for (let i = 0; i < target.length; i++) {
+      aFrom.array[i] += (aTo.array[i] - aFrom.array[i]) * t;
+    }
+    aTo.array.set(target);
+    aFrom.needsUpdate = true;
+    aTo.needsUpdate = true;
+
+    const from = t < 0.5 ? 'From' : 'To';
+    u.uPaletteFrom.value.forEach((color, i) => color.copy(u[`uPalette${from}`].value[i]));
+    u.uPaletteSizeFrom.value = u[`uPaletteSize${from}`].value;
+    u.uOpacityFrom.value += (u.uOpacityTo.value - u.uOpacityFrom.value) * t;
+    u.uDriftFrom.value += (u.uDriftTo.value - u.uDriftFrom.value) * t;
+    u.uMorph.value = 0;
+    this.applyTheme(theme);
+
+    // The field's drift winds the rotation up; unwind it so formations ease to face the reader
+    const rotation = this.particles.rotation;
+    rotation.x = Math.atan2(Math.sin(rotation.x), Math.cos(rotation.x));
+    rotation.y = Math.atan2(Math.sin(rotation.y), Math.cos(rotation.y));
+
+    this.morph?.kill();
+    this.morph = null;
+    if (window.gsap && this.level !== 'minimal') {
+      this.morph = gsap.to(u.uMorph, {
+        value: 1,
+        duration: this.level === 'reduced' ? FORMATION_DURATION / 2 : FORMATION_DURATION,
+        ease: 'power2.inOut'
+      });
+    } else {
+      u.uMorph.value = 1;
+      if (this.rafId === null) this.renderer.render(this.scene, this.camera);
+    }
+    return true;
+  }
+
+  // Scattered cube, the resting state
+  static fieldFormation(count, random = new Random()) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < positions.length; i++) {
+      positions[i] = random.range(-100, 100);
+    }
+    return positions;
+  }
+
+  // Each series becomes a ribbon: its line scaled to its own range and extruded in
+  // depth, so opposite trends cross the way they do in the chart. Particles step
+  // along the lines in a low-discrepancy order, so any prefix (the draw range)
+  // still traces every line end to end
+  static lineFormation(count, seriesList, { width, height }) {
+    const lines = seriesList.map(s => {
+      const points = s.x.map((x, i) => [x, s.y[i]]).filter(([, y]) => y !== null && y !== undefined);
+      const ys = points.map(([, y]) => y);
+      const min = Math.min(...ys);
+      const span = Math.max(...ys) - min || 1;
+      return points.map(([x, y]) => [x, (y - min) / span]);
+    });
+    const x0 = Math.min(...lines.map(l => l[0][0]));
+    const x1 = Math.max(...lines.map(l => l[l.length - 1][0]));
+
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const line = lines[i % lines.length];
+      const n = Math.floor(i / lines.length);
+      const u = (n * GOLDEN) % 1;
+      const x = line[0][0] + u * (line[line.length - 1][0] - line[0][0]);
+      const k = Math.max(1, line.findIndex(([px]) => px >= x));
+      const [xa, ya] = line[k - 1];
+      const [xb, yb] = line[k];
+      const y = ya + (yb - ya) * ((x - xa) / (xb - xa || 1));
+
+      positions[i * 3] = ((x - x0) / (x1 - x0 || 1) - 0.5) * width;
+      positions[i * 3 + 1] = (y - 0.5) * height;
+      positions[i * 3 + 2] = (((n * PLASTIC[0]) % 1) - 0.5) * height * 0.4;
+    }
+    return positions;
+  }
+
+  // One column per period, each holding a share of the particles in proportion to its
+  // count, so a spike stands out as a tower among stubs. A particle's place in its
+  // column comes from its quantile, not its index, so any prefix keeps full heights
+  static clusterFormation(count, values, { width, height }) {
+    const counts = values.map(v => Math.max(0, v || 0));
+    const total = counts.reduce((sum, v) => sum + v, 0);
+    if (!total) return null;
+
+    const edges = [0];
+    counts.forEach(v => edges.push(edges[edges.length - 1] + v / total));
+    const tallest = Math.max(...counts) / total;
+    const step = width / counts.length;
+
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const q = (i * GOLDEN) % 1;
+      let k = 0;
+      while (k < counts.length - 1 && q >= edges[k + 1]) k++;
+      const share = edges[k + 1] - edges[k];
+      const within = share ? (q - edges[k]) / share : 0;
+
+      positions[i * 3] = (k + 0.5) * step - width / 2 + (((i * PLASTIC[0]) % 1) - 0.5) * step * 0.6;
+      positions[i * 3 + 1] = ((within * share) / tallest - 0.5) * height;
+      positions[i * 3 + 2] = (((i * PLASTIC[1]) % 1) - 0.5) * step * 2;
+    }
+    return positions;
+  }
+
+  animate(now) {
+    this.rafId = requestAnimationFrame((time) => this.animate(time));
+
+    // Low-power mode renders every other frame
+    if (this.level === 'reduced' && this.frame++ % 2) return;
+    this.adapt(now);
+    this.uniforms.uTime.value = now / 1000;
+
+    const rotation = this.particles.rotation;
+    const parallax = this.level === 'full' && !this.mobile;
+    if (this.current === 'field') {
+      // Half the old per-frame steps now that every frame renders
+      rotation.y += 0.0001;
+      rotation.x += 0.00005;
+      if (parallax) {
+        rotation.y += this.mouseX * 0.000015;
+        rotation.x += this.mouseY * 0.000015;
+      }
+    } else {
+      // Formations face the reader with a slow sway so they stay legible
+      const tiltX = parallax ? (this.mouseY / window.innerHeight - 0.5) * 0.3 : 0;
+      const tiltY = parallax ? (this.mouseX / window.innerWidth - 0.5) * 0.4 : 0;
+      rotation.x += (tiltX - rotation.x) * 0.04;
+      rotation.y += (Math.sin(now / 4000) * 0.25 + tiltY - rotation.y) * 0.04;
     }
 
+    // Cursor position on the z = 0 plane; repulsion eases off when parallax is off
+    const view = this.viewSize();
+    const mouse = this.uniforms.uMouse.value;
+    mouse.x = (this.mouseX / window.innerWidth - 0.5) * view.width;
+    mouse.y = (0.5 - this.mouseY / window.innerHeight) * view.height;
+    this.uniforms.uRepel.value += ((parallax && this.mouseX ? 6 : 0) - this.uniforms.uRepel.value) * 0.1;
+
     this.renderer.render(this.scene, this.camera);
-    this.frame++;
   }
 
   handleResize() {
@@ -367,13 +1610,23 @@ class ThreeBackground {
       this.camera.aspect = window.innerWidth / window.innerHeight;
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(window.innerWidth, window.innerHeight);
-    });
+      this.updateScale();
+
+      // Story formations are sized to the view; rebuild the one on screen, or
+      // fall back to the field if it can no longer be built
+      const { field } = this.formations;
+      this.formations = { field };
+      if (this.current !== 'field' && !this.form(this.current, this.theme, true)) {
+        this.form('field', this.baseTheme);
+      }
+    }, { signal: this.teardown.signal });
   }
 
   cleanup() {
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-    }
+    this.stop();
+    this.teardown.abort();
+    this.offTheme?.();
+    this.morph?.kill();
     if (this.renderer) {
       this.renderer.dispose();
     }
@@ -386,8 +1639,14 @@ class ThreeBackground {
 
 // ===== ANIMATION CONTROLLER =====
 class AnimationController {
-  constructor() {
-    this.scrollTriggers = [];
+  constructor(motion = null, bus = null) {
+    this.motion = motion;
+    this.bus = bus;
+    this.level = 'full';
+    this.paused = false;
+    this.teardown = new AbortController();
+    this.scrollTriggers = new Map(); // element → its reveal tween
+    this.toggleHandlers = [];
   }
 
   init() {
@@ -397,18 +1656,28 @@ class AnimationController {
     }
 
     gsap.registerPlugin(ScrollTrigger);
+    this.motion?.subscribe(state => this.applyMotion(state));
+    // Cards that other modules show later (press filters) reveal like the rest
+    this.offReveal = this.bus?.on('content:reveal', (el) => {
+      gsap.set(el, { opacity: 0, y: 30 });
+      this.createScrollAnimation(el);
+    });
 
     // Hero animations
     gsap.to('.hero-title', { 
-      opacity: 1, y: 0, duration: 1.2, ease: 'power3.out', delay: 0.3 
+      opacity: 1, y: 0, duration: this.duration(1.2), ease: 'power3.out', delay: this.duration(0.3) 
     });
     gsap.to('.hero-subtitle', { 
-      opacity: 1, y: 0, duration: 1, ease: 'power3.out', delay: 0.6 
+      opacity: 1, y: 0, duration: this.duration(1), ease: 'power3.out', delay: this.duration(0.6) 
     });
 
     // Scroll-triggered reveals
-    this.createScrollAnimation('.press');
-    this.createScrollAnimation('.nyt-memo-image');
+    gsap.utils.toArray('.press').forEach(card => {
+      this.createScrollAnimation(card);
+    });
+    gsap.utils.toArray('.nyt-memo-image').forEach(memo => {
+      this.createScrollAnimation(memo);
+    });
     
     gsap.utils.toArray('.story-card').forEach(card => {
       this.createScrollAnimation(card);
@@ -428,19 +1697,63 @@ class AnimationController {
     this.initBackToTop();
   }
 
-  createScrollAnimation(selector) {
-    const trigger = gsap.to(selector, {
+  // One reveal per element: a card the press filter shows again replaces its old
+  // tween and trigger, so toggle handlers never hear about the same card twice
+  createScrollAnimation(el) {
+    const previous = this.scrollTriggers.get(el);
+    if (previous) {
+      if (previous.scrollTrigger?.isActive) this.toggleHandlers.forEach(handler => handler(el, false));
+      previous.scrollTrigger?.kill();
+      previous.kill();
+    }
+
+    const trigger = gsap.to(el, {
       scrollTrigger: { 
-        trigger: selector, 
+        trigger: el, 
         start: 'top 85%', 
-        toggleActions: 'play none none none' 
+        toggleActions: 'play none none none',
+        onToggle: (self) => this.toggleHandlers.forEach(handler => handler(self.trigger, self.isActive))
       },
       opacity: 1, 
       y: 0, 
-      duration: 0.8, 
+      duration: this.duration(0.8), 
       ease: 'power2.out'
     });
-    this.scrollTriggers.push(trigger);
+    this.scrollTriggers.set(el, trigger);
+  }
+
+  // Minimal motion shows content in place. The reveal triggers stay alive
+  // because audio scenes listen to them.
+  applyMotion({ level, paused }) {
+    if (level === 'minimal' && this.level !== 'minimal') {
+      this.scrollTriggers.forEach(tween => tween.duration(0));
+    }
+    this.level = level;
+
+    // GSAP's ticker is a rAF loop too
+    if (paused) {
+      gsap.ticker.sleep();
+    } else if (this.paused) {
+      gsap.ticker.wake();
+    }
+    this.paused = paused;
+  }
+
+  duration(seconds) {
+    return this.level === 'minimal' ? 0 : seconds;
+  }
+
+  // Lets other modules (audio scenes, particle formations) follow the same reveal
+  // triggers; triggers that are already active are replayed to the new handler.
+  // Returns a function that removes the handler
+  onTriggerToggle(handler) {
+    this.toggleHandlers.push(handler);
+    this.scrollTriggers.forEach(tween => {
+      if (tween.scrollTrigger?.isActive) handler(tween.scrollTrigger.trigger, true);
+    });
+    return () => {
+      this.toggleHandlers = this.toggleHandlers.filter(h => h !== handler);
+    };
   }
 
   initProgressBar() {
@@ -449,10 +1762,10 @@ class AnimationController {
       const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
       const scrollHeight = document.documentElement.scrollHeight - document.documentElement.clientHeight;
       const scrollPercentage = scrollTop / scrollHeight;
-      gsap.to(progressBar, { scaleX: scrollPercentage, duration: 0.1 });
+      gsap.to(progressBar, { scaleX: scrollPercentage, duration: this.duration(0.1) });
     }, 16);
 
-    window.addEventListener('scroll', throttledScroll, { passive: true });
+    window.addEventListener('scroll', throttledScroll, { passive: true, signal: this.teardown.signal });
   }
 
   initHeaderScroll() {
@@ -465,7 +1778,7 @@ class AnimationController {
       }
     }, 100);
 
-    window.addEventListener('scroll', throttledScroll, { passive: true });
+    window.addEventListener('scroll', throttledScroll, { passive: true, signal: this.teardown.signal });
   }
 
   initBackToTop() {
@@ -488,24 +1801,25 @@ class AnimationController {
       progressRing.style.strokeDashoffset = offset;
     }, 16);
 
-    window.addEventListener('scroll', throttledScroll, { passive: true });
+    window.addEventListener('scroll', throttledScroll, { passive: true, signal: this.teardown.signal });
 
     button.addEventListener('click', () => {
       window.scrollTo({ top: 0, behavior: 'smooth' });
-    });
+    }, { signal: this.teardown.signal });
 
     // Magnetic hover effect
     if (window.innerWidth > 768) {
       button.addEventListener('mousemove', (e) => {
+        if (this.level !== 'full') return;
         const rect = button.getBoundingClientRect();
         const x = e.clientX - rect.left - rect.width / 2;
         const y = e.clientY - rect.top - rect.height / 2;
         gsap.to(button, { x: x * 0.3, y: y * 0.3, duration: 0.3 });
-      });
+      }, { signal: this.teardown.signal });
 
       button.addEventListener('mouseleave', () => {
         gsap.to(button, { x: 0, y: 0, duration: 0.3 });
-      });
+      }, { signal: this.teardown.signal });
     }
   }
 
@@ -521,19 +1835,371 @@ class AnimationController {
   }
 
   cleanup() {
+    this.teardown.abort();
+    this.offReveal?.();
     this.scrollTriggers.forEach(trigger => {
       if (trigger && trigger.kill) trigger.kill();
     });
+    this.scrollTriggers.clear();
     if (ScrollTrigger) {
       ScrollTrigger.getAll().forEach(trigger => trigger.kill());
     }
   }
 }
 
+// ===== DATA LOADER =====
+// Loads chart series from data/ (JSON or CSV) and validates them before plotting
+const SERIES_SCHEMA_VERSION = 1;
+const SERIES_META_FIELDS = ['id', 'name', 'source', 'units', 'retrieved'];
+
+class DataLoader {
+  constructor(baseUrl = 'data/', fetchText = null) {
+    this.baseUrl = baseUrl;
+    this.fetchText = fetchText || (async (url) => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+      return res.text();
+    });
+    this.manifest = null;
+  }
+
+  async loadManifest() {
+    if (this.manifest) return this.manifest;
+
+    const file = 'manifest.json';
+    let manifest;
+    try {
+      manifest = JSON.parse(await this.fetchText(this.baseUrl + file));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    if (manifest.version !== SERIES_SCHEMA_VERSION) {
+      throw new Error(`${file}: unsupported version ${manifest.version}`);
+    }
+    if (!manifest.charts || typeof manifest.charts !== 'object') {
+      throw new Error(`${file}: missing "charts" map`);
+    }
+    this.manifest = manifest;
+    return manifest;
+  }
+
+  // Resolves every series listed for a chart, keyed by series id
+  async loadChart(chartKey, requiredIds = []) {
+    const manifest = await this.loadManifest();
+    const files = manifest.charts[chartKey];
+    if (!Array.isArray(files) || !files.length) {
+      throw new Error(`manifest.json: no series listed for "${chartKey}"`);
+    }
+
+    const series = await Promise.all(files.map(file => this.loadSeries(file)));
+    const byId = {};
+    series.forEach(s => { byId[s.id] = s; });
+
+    const missing = requiredIds.filter(id => !byId[id]);
+    if (missing.length) {
+      throw new Error(`${chartKey}: missing series ${missing.join(', ')}`);
+    }
+    return byId;
+  }
+
+  async loadSeries(file) {
+    let text;
+    try {
+      text = await this.fetchText(this.baseUrl + file);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+
+    let series;
+    try {
+      series = file.endsWith('.csv') ? DataLoader.parseCSV(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file}: could not be parsed (${error.message})`);
+    }
+
+    DataLoader.validate(series, file);
+    return series;
+  }
+
+  // CSV format: "# key: value" metadata lines, a header row, then x,y rows
+  static parseCSV(text) {
+    const series = { x: [], y: [] };
+    let headerSeen = false;
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line) return;
+
+      if (line.startsWith('#')) {
+        const m = line.match(/^#\s*([\w-]+)\s*:\s*(.*)$/);
+        if (m) series[m[1]] = m[1] === 'version' ? Number(m[2]) : m[2];
+        return;
+      }
+
+      if (!headerSeen) {
+        headerSeen = true;
+        return;
+      }
+
+      const cells = line.split(',').map(c => c.trim());
+      if (cells.length !== 2) {
+        throw new Error(`line ${i + 1} has ${cells.length} columns, expected 2`);
+      }
+      const x = Number(cells[0]);
+      series.x.push(cells[0] !== '' && Number.isFinite(x) ? x : cells[0]);
+      series.y.push(cells[1] === '' ? NaN : Number(cells[1]));
+    });
+
+    return series;
+  }
+
+  static validate(series, file = 'series') {
+    const fail = (msg) => { throw new Error(`${file}: ${msg}`); };
+
+    if (!series || typeof series !== 'object') fail('not an object');
+    if (series.version !== SERIES_SCHEMA_VERSION) {
+      fail(`unsupported version ${series.version}`);
+    }
+
+    SERIES_META_FIELDS.forEach(key => {
+      if (typeof series[key] !== 'string' || !series[key].trim()) {
+        fail(`missing "${key}"`);
+      }
+    });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(series.retrieved) || isNaN(Date.parse(series.retrieved))) {
+      fail(`"retrieved" must be an ISO date (YYYY-MM-DD), got "${series.retrieved}"`);
+    }
+
+    if (!Array.isArray(series.x) || !Array.isArray(series.y)) fail('x and y must be arrays');
+    if (!series.x.length) fail('no data points');
+    if (series.x.length !== series.y.length) {
+      fail(`x has ${series.x.length} points but y has ${series.y.length}`);
+    }
+
+    series.x.forEach((x, i) => {
+      const ok = typeof x === 'number' ? Number.isFinite(x) : typeof x === 'string' && x !== '';
+      if (!ok) fail(`x[${i}] is not a number or date`);
+    });
+    series.y.forEach((y, i) => {
+      if (typeof y !== 'number' || !Number.isFinite(y)) fail(`y[${i}] is not a number`);
+    });
+
+    if (series.aggregate !== undefined && !['mean', 'sum'].includes(series.aggregate)) {
+      fail(`"aggregate" must be "mean" or "sum", got "${series.aggregate}"`);
+    }
+
+    return series;
+  }
+}
+
+// ===== ANXIETY INDEX =====
+// Resamples raw series onto a shared calendar grid and scales them for comparison.
+// Pure functions only: the same input always produces the same index.
+const INDEX_MODES = {
+  minmax: 'Min–max (0–100)',
+  percentile: 'Percentile (z-score)',
+  rebase: 'Rebased (period = 100)'
+};
+
+class AnxietyIndex {
+  // Accepts 2020, "2020", "2020-03" or "2020-03-15"
+  static parseDate(value) {
+    const m = String(value).match(/^(\d{4})(?:-(\d{2}))?(?:-\d{2})?$/);
+    if (!m) throw new Error(`Unrecognised date "${value}"`);
+    return { year: Number(m[1]), month: m[2] ? Number(m[2]) : 1 };
+  }
+
+  // Sequential bucket number, so grids can be walked with plain integers
+  static bucketOf(value, frequency) {
+    const { year, month } = AnxietyIndex.parseDate(value);
+    return frequency === 'month'
+      ? year * 12 + (month - 1)
+      : year * 4 + Math.floor((month - 1) / 3);
+  }
+
+  static describeBucket(bucket, frequency) {
+    if (frequency === 'month') {
+      const year = Math.floor(bucket / 12);
+      const month = (bucket % 12) + 1;
+      const key = `${year}-${String(month).padStart(2, '0')}`;
+      return { key, date: key };
+    }
+    const year = Math.floor(bucket / 4);
+    const quarter = (bucket % 4) + 1;
+    return {
+      key: `${year}-Q${quarter}`,
+      date: `${year}-${String((quarter - 1) * 3 + 1).padStart(2, '0')}`
+    };
+  }
+
+  static buildGrid(seriesList, frequency) {
+    let first = Infinity;
+    let last = -Infinity;
+    seriesList.forEach(s => s.x.forEach(x => {
+      const b = AnxietyIndex.bucketOf(x, frequency);
+      first = Math.min(first, b);
+      last = Math.max(last, b);
+    }));
+
+    const grid = [];
+    for (let b = first; b <= last; b++) {
+      grid.push({ bucket: b, ...AnxietyIndex.describeBucket(b, frequency) });
+    }
+    return grid;
+  }
+
+  // Aggregates observations into grid buckets (mean for levels, sum for counts),
+  // fills interior gaps linearly and leaves the edges null
+  static resample(series, grid, frequency) {
+    const sums = new Map();
+    const counts = new Map();
+    series.x.forEach((x, i) => {
+      const b = AnxietyIndex.bucketOf(x, frequency);
+      sums.set(b, (sums.get(b) || 0) + series.y[i]);
+      counts.set(b, (counts.get(b) || 0) + 1);
+    });
+
+    const useSum = series.aggregate === 'sum';
+    const values = grid.map(({ bucket }) => {
+      if (!counts.has(bucket)) return null;
+      return useSum ? sums.get(bucket) : sums.get(bucket) / counts.get(bucket);
+    });
+
+    const known = values.map((v, i) => (v === null ? -1 : i)).filter(i => i >= 0);
+    for (let k = 0; k < known.length - 1; k++) {
+      const a = known[k];
+      const b = known[k + 1];
+      for (let i = a + 1; i < b; i++) {
+        values[i] = values[a] + (values[b] - values[a]) * ((i - a) / (b - a));
+      }
+    }
+    return values;
+  }
+
+  // Abramowitz & Stegun 7.1.26, accurate to ~1.5e-7
+  static normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+      t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  static normalize(values, mode = 'minmax', baseIndex = 0) {
+    const present = values.filter(v => v !== null);
+    if (!present.length) return values.map(() => null);
+    const round = (v) => Math.round(v * 100) / 100;
+
+    if (mode === 'percentile') {
+      const mean = present.reduce((a, b) => a + b, 0) / present.length;
+      const sd = Math.sqrt(present.reduce((a, v) => a + (v - mean) ** 2, 0) / present.length);
+      return values.map(v => {
+        if (v === null) return null;
+        return sd === 0 ? 50 : round(AnxietyIndex.normalCdf((v - mean) / sd) * 100);
+      });
+    }
+
+    if (mode === 'rebase') {
+      // Fall back to the first observation when the chosen period has no data
+      let base = values[baseIndex];
+      if (base === null || base === undefined || base === 0) {
+        base = present.find(v => v !== 0);
+      }
+      return values.map(v => (v === null || !base ? null : round((v / base) * 100)));
+    }
+
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    return values.map(v => {
+      if (v === null) return null;
+      return max === min ? 50 : round(((v - min) / (max - min)) * 100);
+    });
+  }
+
+  // basePeriod is a grid key ("2020-Q1", "2020-03"); when it is missing or not on the
+  // grid the index rebases on the first period, and the result reports the one used
+  static build(seriesList, { frequency = 'quarter', mode = 'minmax', basePeriod = null } = {}) {
+    if (!INDEX_MODES[mode]) throw new Error(`Unknown normalization mode "${mode}"`);
+
+    const grid = AnxietyIndex.buildGrid(seriesList, frequency);
+    const baseIndex = Math.max(0, grid.findIndex(p => p.key === basePeriod));
+
+    const series = {};
+    seriesList.forEach(s => {
+      const raw = AnxietyIndex.resample(s, grid, frequency);
+      series[s.id] = {
+        raw,
+        values: AnxietyIndex.normalize(raw, mode, baseIndex),
+        units: s.units
+      };
+    });
+
+    return {
+      frequency,
+      mode,
+      basePeriod: grid[baseIndex]?.key || null,
+      periods: grid.map(p => p.key),
+      dates: grid.map(p => p.date),
+      series
+    };
+  }
+}
+
 // ===== CHART MANAGER =====
+// Height-to-width ratios used when a chart fills its container (embed.html)
+const CHART_ASPECT = { intimacy: 1.1, anxiety: 0.75 };
+// Viewport breakpoints (px); build.mjs derives responsive image sizes from the same values
+const CHART_BREAKPOINTS = { mobile: 480, tablet: 768 };
+// Chart layouts follow their container instead: below these widths (px) a chart
+// drops to the narrow or medium tier. They sit about where CHART_BREAKPOINTS fall
+// once the page and card padding come off the viewport
+const CHART_TIERS = { narrow: 380, medium: 620 };
+const CHART_RESIZE_DELAY = 150; // ms without a size change before charts are laid out again
+const CHART_CONFIG = { displayModeBar: false, showTips: false };
+
+// Everything in a layout that depends on the container width, per tier: shared
+// font sizes, then per chart the page height (minHeight bounds embeds, which
+// scale with CHART_ASPECT), margins and axis density
+const CHART_LAYOUTS = {
+  narrow: {
+    font: 11, tick: 10, axisTitle: 11, heading: 13, hover: 12,
+    intimacy: { height: 900, minHeight: 640, margin: { l: 48, r: 16, t: 8, b: 36 }, dtick: 8, stacked: true },
+    anxiety: { height: 520, minHeight: 420, margin: { l: 48, r: 12, t: 8, b: 110 }, nticks: 4, tickangle: 0, legendBelow: true }
+  },
+  medium: {
+    font: 11, tick: 10, axisTitle: 11, heading: 13, hover: 12,
+    intimacy: { height: 760, minHeight: 480, margin: { l: 50, r: 50, t: 8, b: 40 }, dtick: 4, stacked: false },
+    anxiety: { height: 640, minHeight: 360, margin: { l: 50, r: 20, t: 8, b: 80 }, nticks: 6, tickangle: -45, legendBelow: false }
+  },
+  wide: {
+    font: 12, tick: 11, axisTitle: 12, heading: 14, hover: 13,
+    intimacy: { height: 950, minHeight: 360, margin: { l: 70, r: 70, t: 8, b: 40 }, dtick: 2, stacked: false },
+    anxiety: { height: 850, minHeight: 360, margin: { l: 60, r: 40, t: 8, b: 80 }, nticks: 12, tickangle: -45, legendBelow: false }
+  }
+};
+
+const INTIMACY_SERIES = ['sexual-frequency', 'ssri-prescriptions', 'marriage-rate', 'screen-time'];
+// Panel headings; the first covers both series of the top panel (or two, stacked)
+const INTIMACY_HEADINGS = [
+  'Sexual frequency has declined as SSRI prescriptions doubled',
+  'Marriage rates have remained relatively stable',
+  'Daily screen time has quadrupled since 2010'
+];
+
+// Sets a Plotly attribute string ('yaxis2.tickfont.color', 'annotations[1].font.color')
+// on a plain object, the way relayout/restyle read it
+const setAttr = (target, path, value) => {
+  const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  const last = keys.pop();
+  keys.reduce((obj, key) => (obj[key] ??= {}), target)[last] = value;
+};
+
 class ChartManager {
-  constructor() {
+  // pushHistory: false keeps embeds from adding entries to the host page's history
+  constructor(options = {}) {
+    this.options = { pushHistory: true, fitContainer: false, ...options };
     this.charts = {};
+    this.dataLoader = new DataLoader();
     this.anxietyMetrics = [
       { key: 'tradwife', name: 'Tradwife Searches', color: null },
       { key: 'measles', name: 'Measles Cases', color: null },
@@ -543,544 +2209,1476 @@ class ChartManager {
       { key: 'beef', name: 'Beef', color: null }
     ];
     this.activeMetrics = {};
+    this.anxietyButtons = {};
+    this.anxietyControls = null;
+    this.anxietyXRange = null; // zoomed x-range as ['YYYY-MM-DD', 'YYYY-MM-DD']
+    this.anxietyOptions = { frequency: 'quarter', mode: 'minmax', basePeriod: null };
+    this.anxietyRaw = null;
+    this.anxietyIndex = null;
+    this.intimacySeries = null;
+    this.sizes = {}; // responsiveLayout() each chart was last drawn at
+    this.resizeObserver = null;
+    this.pendingLayout = new Set();
+    this.resizeTimer = null;
+    this.offTheme = null;
+    this.teardown = new AbortController();
   }
 
-  init() {
+  async init() {
     if (!window.Plotly) {
       console.error('Plotly not loaded');
       return;
     }
 
     this.loadColors();
-    this.initIntimacyChart();
-    this.initAnxietyChart();
-    this.handleResize();
+
+    // Only charts present on the page (embed.html renders a single one)
+    const inits = [];
+    if (document.getElementById('intimacy-chart')) inits.push(this.initIntimacyChart());
+    if (document.getElementById('anxiety-chart')) inits.push(this.initAnxietyChart());
+    await Promise.all(inits);
+    this.observeCharts();
+  }
+
+  // ----- Responsive layout -----
+  // The width-dependent numbers for a chart `width` px wide: its tier's values
+  // plus the width itself. Pure, so every tier can be checked without a browser
+  static responsiveLayout(key, width) {
+    const tier = width < CHART_TIERS.narrow ? 'narrow' : width < CHART_TIERS.medium ? 'medium' : 'wide';
+    const { intimacy, anxiety, ...shared } = CHART_LAYOUTS[tier];
+    return { tier, width, ...shared, ...(key === 'intimacy' ? intimacy : anxiety) };
+  }
+
+  // Splits a plot `plotHeight` px tall into panels, top to bottom, each one below
+  // its gap (px). Returns the y domains as [bottom, top] paper fractions
+  static stack(gaps, plotHeight) {
+    const panel = (plotHeight - gaps.reduce((sum, gap) => sum + gap, 0)) / gaps.length;
+    let top = plotHeight;
+    return gaps.map(gap => {
+      top -= gap;
+      const domain = [top - panel, top].map(y => Math.max(0, Math.round((y / plotHeight) * 1e4) / 1e4));
+      top -= panel;
+      return domain;
+    });
+  }
+
+  chartWidth(key) {
+    return document.getElementById(`${key}-chart`)?.clientWidth || window.innerWidth;
+  }
+
+  // Tier heights on the page; embeds scale with their container instead
+  chartHeight(key, size = ChartManager.responsiveLayout(key, this.chartWidth(key))) {
+    if (this.options.fitContainer) {
+      return Math.max(size.minHeight, Math.round(size.width * CHART_ASPECT[key]));
+    }
+    return size.height;
+  }
+
+  // Every .story-chart is observed, so rotating a phone, resizing the window or
+  // anything else that changes a container's width lays that chart out again
+  // once resizing settles. Height changes are the charts' own and are ignored
+  observeCharts() {
+    if (!window.ResizeObserver) {
+      window.addEventListener('resize', () => this.scheduleLayout(Object.keys(this.charts)), { signal: this.teardown.signal });
+      return;
+    }
+    this.resizeObserver = new ResizeObserver(entries => {
+      this.scheduleLayout(entries.map(entry => entry.target.id.replace(/-chart$/, '')));
+    });
+    document.querySelectorAll('.story-chart').forEach(el => this.resizeObserver.observe(el));
+  }
+
+  scheduleLayout(keys) {
+    keys.filter(key => this.charts[key]).forEach(key => this.pendingLayout.add(key));
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => {
+      const due = [...this.pendingLayout];
+      this.pendingLayout.clear();
+      due.forEach(key => {
+        if (this.chartWidth(key) === this.sizes[key]?.width) return;
+        if (key === 'intimacy') this.renderIntimacy();
+        else this.updateAnxietyChart();
+      });
+    }, CHART_RESIZE_DELAY);
+  }
+
+  // Bubbling DOM event so hosts (embed.html) can relay interactions without Plotly hooks
+  emit(key, action, detail = {}) {
+    document.getElementById(`${key}-chart`)?.dispatchEvent(new CustomEvent('chart:interaction', {
+      bubbles: true,
+      detail: { chart: key, action, ...detail }
+    }));
   }
 
   loadColors() {
-    const css = (key) => getComputedStyle(document.documentElement)
-      .getPropertyValue(key).trim();
-    
     this.anxietyMetrics.forEach(metric => {
-      metric.color = css(`--c-${metric.key}`);
+      metric.color = cssVar(`--c-${metric.key}`);
     });
   }
 
-  initIntimacyChart() {
-    const isMobile = window.innerWidth < 480;
-    const isTablet = window.innerWidth < 768;
+  // ----- Theme -----
+  // Every colour a chart uses, as Plotly attribute strings read from the theme
+  // tokens in styles.css: { layout: {path: value}, traces: [{path: value}, ...] }.
+  // each draw gets them through paint(), live charts through applyTheme()
+  static chrome(xaxes, yaxes) {
+    const t = (name) => cssVar(`--chart-${name}`);
+    const layout = {
+      plot_bgcolor: t('bg'),
+      paper_bgcolor: t('bg'),
+      'font.color': t('ink'),
+      'hoverlabel.bgcolor': t('hover-bg'),
+      'hoverlabel.bordercolor': t('hover-line'),
+      'hoverlabel.font.color': t('ink')
+    };
+    xaxes.forEach(axis => {
+      layout[`${axis}.gridcolor`] = t('grid');
+      layout[`${axis}.linecolor`] = t('axis');
+      layout[`${axis}.tickcolor`] = t('axis');
+    });
+    yaxes.forEach(axis => {
+      layout[`${axis}.gridcolor`] = t('grid');
+    });
+    return layout;
+  }
 
-    const data = [
-      {
-        hovertemplate: "%{y:.0f} times/year<extra></extra>",
-        line: { color: "#FF3333", width: 4 },
-        marker: { color: "#FF3333", size: 8 },
+  intimacyTheme() {
+    const color = (key) => cssVar(`--c-${key}`);
+    const layout = {
+      ...ChartManager.chrome(['xaxis', 'xaxis2', 'xaxis3'], ['yaxis', 'yaxis2', 'yaxis3', 'yaxis4']),
+      'yaxis.title.font.color': color('sexual-frequency'),
+      'yaxis.tickfont.color': color('sexual-frequency'),
+      'yaxis2.title.font.color': color('ssri-prescriptions'),
+      'yaxis2.tickfont.color': color('ssri-prescriptions'),
+      'legend.bgcolor': cssVar('--chart-legend-bg'),
+      'legend.bordercolor': cssVar('--chart-axis')
+    };
+    [0, 1, 2].forEach(i => {
+      layout[`annotations[${i}].font.color`] = cssVar('--chart-ink');
+    });
+    const traces = INTIMACY_SERIES.map(key => {
+      const style = { 'line.color': color(key), 'marker.color': color(key) };
+      const fill = color(`${key}-fill`);
+      if (fill) style.fillcolor = fill;
+      return style;
+    });
+    return { layout, traces };
+  }
+
+  // Traces follow the active toggles, in anxietyMetrics order
+  anxietyTheme() {
+    return {
+      layout: {
+        ...ChartManager.chrome(['xaxis'], ['yaxis']),
+        'annotations[0].font.color': cssVar('--chart-sub')
+      },
+      traces: this.anxietyMetrics
+        .filter(m => this.activeMetrics[m.key])
+        .map(m => ({ 'line.color': m.color }))
+    };
+  }
+
+  static paint(data, layout, { layout: colors, traces }) {
+    Object.entries(colors).forEach(([path, value]) => setAttr(layout, path, value));
+    traces.forEach((style, i) => {
+      Object.entries(style).forEach(([path, value]) => setAttr(data[i], path, value));
+    });
+  }
+
+  // Re-reads the tokens after <html data-theme> changes and recolours the live
+  // charts in place, so zoom, toggles and scale survive a theme switch
+  applyTheme() {
+    if (!window.Plotly) return;
+    this.loadColors();
+    this.anxietyMetrics.forEach(m => {
+      if (this.anxietyButtons[m.key]) this.styleToggle(m);
+    });
+
+    const themes = { intimacy: () => this.intimacyTheme(), anxiety: () => this.anxietyTheme() };
+    Object.entries(this.charts).forEach(([key, id]) => {
+      const { layout, traces } = themes[key]();
+      try {
+        Plotly.relayout(id, layout);
+        traces.forEach((style, i) => Plotly.restyle(id, style, [i]));
+      } catch (error) {
+        console.error(`Failed to re-theme ${key} chart:`, error);
+      }
+    });
+  }
+
+  attachTheme(theme) {
+    this.offTheme?.();
+    this.offTheme = theme.onChange(() => this.applyTheme());
+  }
+
+  // Replaces a chart container with a readable error instead of an empty box
+  showChartError(containerId, error) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    this.emit(containerId.replace(/-chart$/, ''), 'error', { message: error.message });
+
+    // A prerendered static chart is still worth showing; just say it isn't live
+    const fallback = container.querySelector('.chart-static');
+    if (fallback) {
+      fallback.classList.add('chart-static--stale');
+      return;
+    }
+
+    container.innerHTML = '';
+    container.classList.add('story-chart--error');
+
+    const box = document.createElement('div');
+    box.className = 'chart-error';
+    box.setAttribute('role', 'alert');
+
+    const title = document.createElement('strong');
+    title.textContent = 'This chart could not be loaded.';
+    const detail = document.createElement('p');
+    detail.textContent = error.message;
+
+    box.append(title, detail);
+    container.appendChild(box);
+  }
+
+  // Drops the build-time SVG once the interactive chart is about to take its place
+  removeStaticFallback(containerId) {
+    document.getElementById(containerId)?.querySelector('.chart-static')?.remove();
+  }
+
+  async initIntimacyChart() {
+    let series;
+    try {
+      series = await this.dataLoader.loadChart('intimacy', INTIMACY_SERIES);
+    } catch (error) {
+      console.error('Failed to load intimacy data:', error);
+      this.showChartError('intimacy-chart', error);
+      return;
+    }
+    this.intimacySeries = series;
+    this.emit('intimacy', 'data');
+
+    this.renderIntimacy();
+  }
+
+  intimacyData() {
+    const series = this.intimacySeries;
+    return [
+      {
+        hovertemplate: "%{y:.0f} times/year<extra></extra>",
+        line: { width: 4 },
+        marker: { size: 8 },
         mode: "lines+markers",
         name: "Sexual frequency",
-        x: [2000, 2002, 2004, 2006, 2008, 2010, 2012, 2014, 2016, 2018, 2021, 2022, 2024],
-        y: [66.98, 67.70, 64.02, 61.05, 63.82, 59.00, 78.18, 58.33, 55.38, 58.60, 50.13, 54.34, 49.53],
+        meta: { units: series['sexual-frequency'].units },
+        x: series['sexual-frequency'].x,
+        y: series['sexual-frequency'].y,
         type: "scatter",
         xaxis: "x",
         yaxis: "y"
       },
       {
         hovertemplate: "%{y:.0f}M<extra></extra>",
-        line: { color: "#0066CC", dash: "dot", width: 4 },
-        marker: { color: "#0066CC", size: 8, symbol: "diamond" },
+        line: { dash: "dot", width: 4 },
+        marker: { size: 8, symbol: "diamond" },
         mode: "lines+markers",
         name: "SSRI prescriptions",
-        x: [2000, 2002, 2004, 2006, 2008, 2010, 2012, 2014, 2016, 2018, 2020, 2022],
-        y: [164, 180, 196, 215, 232, 264, 286, 308, 330, 352, 380, 408],
+        meta: { units: series['ssri-prescriptions'].units },
+        x: series['ssri-prescriptions'].x,
+        y: series['ssri-prescriptions'].y,
         type: "scatter",
         xaxis: "x",
         yaxis: "y2"
       },
       {
         fill: "tozeroy",
-        fillcolor: "rgba(0, 102, 204, 0.1)",
         hovertemplate: "%{y:.1f}%<extra></extra>",
-        line: { color: "#0066CC", width: 4 },
-        marker: { color: "#0066CC", size: 8 },
+        line: { width: 4 },
+        marker: { size: 8 },
         mode: "lines+markers",
         name: "Marriage rate",
         showlegend: false,
-        x: [2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 2018, 2019, 2021, 2022],
-        y: [48.76, 48.28, 48.02, 47.86, 47.72, 47.54, 47.50, 47.80, 47.75, 47.62, 48.04, 48.02],
+        meta: { units: series['marriage-rate'].units },
+        x: series['marriage-rate'].x,
+        y: series['marriage-rate'].y,
         type: "scatter",
         xaxis: "x2",
         yaxis: "y3"
       },
       {
         fill: "tozeroy",
-        fillcolor: "rgba(0,0,0,0.1)",
         hovertemplate: "%{y:.1f} hours<extra></extra>",
-        line: { color: "#000", width: 4 },
-        marker: { color: "#000", size: 8 },
+        line: { width: 4 },
+        marker: { size: 8 },
         mode: "lines+markers",
         name: "Screen time",
         showlegend: false,
-        x: [2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022],
-        y: [2.7, 3.2, 3.8, 4.5, 5.2, 5.9, 6.8, 7.4, 8.1, 8.5, 10.2, 10.5, 10.8],
+        meta: { units: series['screen-time'].units },
+        x: series['screen-time'].x,
+        y: series['screen-time'].y,
         type: "scatter",
         xaxis: "x3",
         yaxis: "y4"
       }
     ];
+  }
 
-    const layout = {
-      xaxis: {
-        anchor: "y",
-        domain: [0.0, 0.94],
-        showgrid: true,
-        gridcolor: "rgba(0,0,0,.06)",
-        gridwidth: 0.5,
-        showline: true,
-        linewidth: 1,
-        linecolor: "rgba(0,0,0,.15)",
-        ticks: "outside",
-        ticklen: 4,
-        tickcolor: "rgba(0,0,0,.15)",
-        type: "linear",
-        dtick: isTablet ? 4 : 2,
-        range: [1999, 2025],
-        zeroline: false,
-        tickfont: { size: isMobile ? 10 : 12 }
-      },
-      yaxis: {
-        anchor: "x",
-        domain: [0.7666666667, 1.0],
-        showgrid: true,
-        gridcolor: "rgba(0,0,0,.06)",
-        gridwidth: 0.5,
-        showline: false,
-        zeroline: false,
-        title: {
-          font: { size: isMobile ? 11 : 12, color: "#FF3333" },
-          text: "<b>Times per year</b>"
-        },
-        tickfont: { color: "#FF3333", size: isMobile ? 10 : 11 },
-        range: [40, 85],
-        nticks: 5
-      },
-      yaxis2: {
-        anchor: "x",
-        overlaying: "y",
-        side: "right",
-        showgrid: false,
-        showline: false,
-        zeroline: false,
-        title: {
-          font: { size: isMobile ? 11 : 12, color: "#0066CC" },
-          text: "<b>Millions of prescriptions</b>"
-        },
-        tickfont: { color: "#0066CC", size: isMobile ? 10 : 11 },
-        range: [150, 420],
-        nticks: 5
-      },
-      xaxis2: {
-        anchor: "y3",
-        domain: [0.0, 0.94],
-        showgrid: true,
-        gridcolor: "rgba(0,0,0,.06)",
-        gridwidth: 0.5,
-        showline: true,
-        linewidth: 1,
-        linecolor: "rgba(0,0,0,.15)",
-        ticks: "outside",
-        ticklen: 4,
-        tickcolor: "rgba(0,0,0,.15)",
-        type: "linear",
-        dtick: isTablet ? 4 : 2,
-        range: [1999, 2025],
-        zeroline: false,
-        tickfont: { size: isMobile ? 10 : 12 }
-      },
-      yaxis3: {
-        anchor: "x2",
-        domain: [0.3833333333, 0.6166666667],
-        showgrid: true,
-        gridcolor: "rgba(0,0,0,.06)",
-        gridwidth: 0.5,
-        showline: false,
-        zeroline: false,
-        title: {
-          font: { size: isMobile ? 11 : 12 },
-          text: "<b>Percent married</b>"
-        },
-        range: [47, 49],
-        nticks: 4,
-        tickfont: { size: isMobile ? 10 : 11 }
-      },
-      xaxis3: {
-        anchor: "y4",
-        domain: [0.0, 0.94],
-        showgrid: true,
-        gridcolor: "rgba(0,0,0,.06)",
-        gridwidth: 0.5,
-        showline: true,
-        linewidth: 1,
-        linecolor: "rgba(0,0,0,.15)",
-        ticks: "outside",
-        ticklen: 4,
-        tickcolor: "rgba(0,0,0,.15)",
-        type: "linear",
-        dtick: isTablet ? 4 : 2,
-        range: [1999, 2025],
-        zeroline: false,
-        tickfont: { size: isMobile ? 10 : 12 }
-      },
-      yaxis4: {
-        anchor: "x3",
-        domain: [0.0, 0.2333333333],
-        showgrid: true,
-        gridcolor: "rgba(0,0,0,.06)",
-        gridwidth: 0.5,
-        showline: false,
-        zeroline: false,
-        title: {
-          font: { size: isMobile ? 11 : 12 },
-          text: "<b>Hours per day</b>"
-        },
-        range: [0, 12],
-        nticks: 4,
-        tickfont: { size: isMobile ? 10 : 11 }
+  // Three panels, with SSRI on a right-hand axis over sexual frequency. Stacked
+  // (narrow) layouts give SSRI its own panel under the same year axis instead of
+  // squeezing two value axes into a phone's width
+  intimacyLayout(size) {
+    const { width, font, tick, axisTitle, heading, hover, margin, dtick, stacked } = size;
+    const height = this.chartHeight('intimacy', size);
+    const lineHeight = heading * 1.4;
+    const chars = Math.floor((width - margin.l - margin.r) / (heading * 0.6));
+    const headings = INTIMACY_HEADINGS.map(text => ChartExporter.wrap(text, chars, 2));
+
+    // The legend and the first heading sit in the top margin; every later panel
+    // leaves room for the year labels above it and its own heading
+    const top = margin.t + font * 1.6 + 10 + headings[0].length * lineHeight + 8;
+    const plotHeight = height - top - margin.b;
+    const tickBand = tick * 2 + 8;
+    const gaps = [0, ...(stacked ? [12] : []), ...headings.slice(1).map(lines => tickBand + lines.length * lineHeight)];
+    const domains = ChartManager.stack(gaps, plotHeight);
+    const [sex, ssri, marriage, screen] = stacked ? domains : [domains[0], ...domains];
+
+    const years = (anchor) => ({
+      anchor,
+      domain: [0.0, stacked ? 1.0 : 0.94],
+      showgrid: true,
+      gridwidth: 0.5,
+      showline: true,
+      linewidth: 1,
+      ticks: "outside",
+      ticklen: 4,
+      type: "linear",
+      dtick,
+      range: [1999, 2025],
+      zeroline: false,
+      tickfont: { size: tick }
+    });
+    const values = (anchor, domain, title, range, nticks) => ({
+      anchor,
+      domain,
+      showgrid: true,
+      gridwidth: 0.5,
+      showline: false,
+      zeroline: false,
+      title: {
+        font: { size: axisTitle },
+        text: `<b>${title}</b>`
       },
-      annotations: [
-        {
-          font: { 
-            color: "#000", 
-            size: isMobile ? 13 : 14, 
-            family: "Space Grotesk, sans-serif" 
-          },
-          showarrow: false,
-          text: "<b>Sexual frequency has declined as SSRI prescriptions doubled</b>",
-          x: 0,
-          xanchor: "left",
-          xref: "paper",
-          y: 1.0,
-          yanchor: "bottom",
-          yref: "paper"
+      tickfont: { size: tick },
+      range,
+      nticks
+    });
+
+    return {
+      width,
+      height,
+      // Keeps a reader's zoom through resizes, but not into a different arrangement
+      uirevision: size.tier,
+      xaxis: years(stacked ? "y2" : "y"),
+      yaxis: values("x", sex, "Times per year", [40, 85], 5),
+      yaxis2: stacked
+        ? values("x", ssri, "Millions of prescriptions", [150, 420], 5)
+        : {
+          ...values("x", sex, "Millions of prescriptions", [150, 420], 5),
+          overlaying: "y",
+          side: "right",
+          showgrid: false
         },
-        {
-          font: { 
-            color: "#000", 
-            size: isMobile ? 13 : 14, 
-            family: "Space Grotesk, sans-serif" 
-          },
-          showarrow: false,
-          text: "<b>Marriage rates have remained relatively stable</b>",
-          x: 0,
-          xanchor: "left",
-          xref: "paper",
-          y: 0.6166666667,
-          yanchor: "bottom",
-          yref: "paper"
+      xaxis2: years("y3"),
+      yaxis3: values("x2", marriage, "Percent married", [47, 49], 4),
+      xaxis3: years("y4"),
+      yaxis4: values("x3", screen, "Hours per day", [0, 12], 4),
+      annotations: [sex, marriage, screen].map((domain, i) => ({
+        font: {
+          size: heading,
+          family: "Space Grotesk, sans-serif"
         },
-        {
-          font: { 
-            color: "#000", 
-            size: isMobile ? 13 : 14, 
-            family: "Space Grotesk, sans-serif" 
-          },
-          showarrow: false,
-          text: "<b>Daily screen time has quadrupled since 2010</b>",
-          x: 0,
-          xanchor: "left",
-          xref: "paper",
-          y: 0.2333333333,
-          yanchor: "bottom",
-          yref: "paper"
-        }
-      ],
-      font: { 
-        family: "Space Grotesk, sans-serif", 
-        size: isMobile ? 11 : 12, 
-        color: "#0a0a0a" 
+        showarrow: false,
+        text: `<b>${headings[i].join('<br>')}</b>`,
+        align: "left",
+        x: 0,
+        xanchor: "left",
+        xref: "paper",
+        y: domain[1],
+        yanchor: "bottom",
+        yref: "paper"
+      })),
+      font: {
+        family: "Space Grotesk, sans-serif",
+        size: font
       },
       legend: {
         orientation: "h",
         yanchor: "bottom",
-        y: 1.12,
+        y: 1 + (headings[0].length * lineHeight + 8) / plotHeight,
         xanchor: "left",
         x: 0.0,
-        bgcolor: "rgba(255,255,255,0.85)",
-        bordercolor: "rgba(0,0,0,.15)",
         borderwidth: 1,
-        font: { size: isMobile ? 11 : 12 }
-      },
-      margin: { 
-        l: isMobile ? 50 : 70, 
-        r: isMobile ? 50 : 70, 
-        t: 40, 
-        b: 40 
+        font: { size: font }
       },
-      height: isMobile ? 520 : isTablet ? 700 : 950,
-      plot_bgcolor: "#fff",
-      paper_bgcolor: "#fff",
+      margin: { ...margin, t: Math.round(top) },
       showlegend: true,
       hoverlabel: {
-        font: { size: isMobile ? 12 : 13, family: "Space Grotesk, sans-serif" },
-        bgcolor: "#fff",
-        bordercolor: "rgba(0,0,0,.10)"
+        font: { size: hover, family: "Space Grotesk, sans-serif" }
       },
       hovermode: "x unified",
       doubleClick: "reset"
     };
+  }
+
+  renderIntimacy() {
+    const size = ChartManager.responsiveLayout('intimacy', this.chartWidth('intimacy'));
+    const data = this.intimacyData();
+    const layout = this.intimacyLayout(size);
+    ChartManager.paint(data, layout, this.intimacyTheme());
 
     try {
-      Plotly.newPlot('intimacy-chart', data, layout, { 
-        responsive: true, 
-        displayModeBar: false, 
-        showTips: false 
-      });
+      this.removeStaticFallback('intimacy-chart');
+      Plotly.react('intimacy-chart', data, layout, CHART_CONFIG);
       this.charts.intimacy = 'intimacy-chart';
+      this.sizes.intimacy = size;
+      this.bindChartEvents('intimacy');
     } catch (error) {
       console.error('Failed to create intimacy chart:', error);
     }
   }
 
-  initAnxietyChart() {
-    const months = Array.from({ length: 24 }, (_, i) => {
-      const m = i * 3;
-      return `${2020 + Math.floor(m / 12)}-${String((m % 12) + 1).padStart(2, '0')}`;
-    });
-
-    const anxietyAllData = {
-      tradwife: months.map((_, i) => Math.min(100, i < 4 ? 15 + i * 8 : i < 10 ? 30 + Math.sin(i * 0.3) * 10 : 40 + (i - 10) * 1.2)),
-      measles: months.map((_, i) => i < 16 ? 5 + Math.random() * 3 : 8 + (i - 16) * 15),
-      unemployment: months.map((_, i) => i < 4 ? 20 + i * 15 : i < 12 ? 80 - (i - 4) * 5 : 30 - (i - 12) * 0.3),
-      eggs: months.map((_, i) => i < 10 ? 35 + Math.sin(i * 0.5) * 8 : i < 17 ? 40 + Math.sin(i * 0.4) * 10 : 50 + (i - 17) * 3),
-      gold: months.map((_, i) => 30 + (i * 0.8) + Math.sin(i * 0.2) * 5),
-      beef: months.map((_, i) => i < 17 ? 40 + (i * 0.3) : 50 + (i - 17) * 1.5)
-    };
-
-    // Initialize all metrics as active
-    this.anxietyMetrics.forEach(m => {
-      this.activeMetrics[m.key] = true;
-    });
+  async initAnxietyChart() {
+    try {
+      this.anxietyRaw = await this.dataLoader.loadChart(
+        'anxiety', this.anxietyMetrics.map(m => m.key)
+      );
+      this.rebuildAnxietyIndex();
+    } catch (error) {
+      console.error('Failed to load anxiety data:', error);
+      document.getElementById('anxiety-toggles')?.setAttribute('hidden', '');
+      this.showChartError('anxiety-chart', error);
+      return;
+    }
+    this.emit('anxiety', 'data');
 
     // Create toggle buttons
     const togglesDiv = document.getElementById('anxiety-toggles');
     this.anxietyMetrics.forEach(m => {
       const btn = document.createElement('button');
-      btn.className = 'metric-btn active';
+      btn.className = 'metric-btn';
       btn.type = 'button';
       btn.textContent = m.name;
-      btn.style.backgroundColor = m.color;
-      btn.style.color = '#fff';
       btn.setAttribute('role', 'switch');
-      btn.setAttribute('aria-pressed', 'true');
       btn.setAttribute('aria-label', `Toggle ${m.name} series`);
 
       btn.addEventListener('click', () => {
-        const isActive = btn.getAttribute('aria-pressed') === 'true';
-        btn.setAttribute('aria-pressed', String(!isActive));
-        this.activeMetrics[m.key] = !isActive;
-
-        if (!isActive) {
-          btn.classList.add('active');
-          btn.style.backgroundColor = m.color;
-          btn.style.color = '#fff';
-        } else {
-          btn.classList.remove('active');
-          btn.style.backgroundColor = '#e5e7eb';
-          btn.style.color = '#4b5563';
-        }
-
-        this.updateAnxietyChart(months, anxietyAllData);
+        this.activeMetrics[m.key] = !this.activeMetrics[m.key];
+        this.styleToggle(m);
+        this.updateAnxietyChart();
+        this.pushAnxietyState();
+        this.emit('anxiety', 'toggle', { series: m.key, active: this.activeMetrics[m.key] });
       });
 
+      this.anxietyButtons[m.key] = btn;
       togglesDiv.appendChild(btn);
     });
 
-    this.updateAnxietyChart(months, anxietyAllData);
+    this.createNormalizationControl(togglesDiv);
+    this.applyAnxietyState(this.readAnxietyHash());
+    window.addEventListener('popstate', () => {
+      this.applyAnxietyState(this.readAnxietyHash());
+    }, { signal: this.teardown.signal });
+  }
+
+  styleToggle(m) {
+    const btn = this.anxietyButtons[m.key];
+    const isActive = Boolean(this.activeMetrics[m.key]);
+    btn.setAttribute('aria-pressed', String(isActive));
+    btn.classList.toggle('active', isActive);
+    // Off state and text colours are theme tokens on .metric-btn
+    btn.style.backgroundColor = isActive ? m.color : '';
+  }
+
+  // Shareable view in the hash, e.g. #metrics=tradwife,eggs&x=2021-01-01..2023-06-30&scale=rebase&base=2021-Q1
+  // Defaults are left out, so an untouched chart keeps a clean URL.
+  readAnxietyHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const keys = this.anxietyMetrics.map(m => m.key);
+    const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d || '');
+    const [x0, x1] = (params.get('x') || '').split('..');
+    const mode = Object.hasOwn(INDEX_MODES, params.get('scale')) ? params.get('scale') : 'minmax';
+
+    return {
+      metrics: params.has('metrics')
+        ? params.get('metrics').split(',').filter(k => keys.includes(k))
+        : keys,
+      xRange: isDate(x0) && isDate(x1) && x0 < x1 ? [x0, x1] : null,
+      mode,
+      basePeriod: mode === 'rebase' ? params.get('base') : null
+    };
+  }
+
+  anxietyHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const set = (key, value) => (value ? params.set(key, value) : params.delete(key));
+    const active = this.anxietyMetrics.filter(m => this.activeMetrics[m.key]).map(m => m.key);
+    const { mode, basePeriod } = this.anxietyIndex;
+
+    if (active.length === this.anxietyMetrics.length) params.delete('metrics');
+    else params.set('metrics', active.join(','));
+    set('x', this.anxietyXRange && this.anxietyXRange.join('..'));
+    set('scale', mode !== 'minmax' && mode);
+    set('base', mode === 'rebase' && basePeriod);
+
+    // URLSearchParams escapes the commas and dots we want readable
+    const hash = params.toString().replace(/%2C/g, ',');
+    return hash ? `#${hash}` : '';
+  }
+
+  // One history entry per change so back/forward steps through toggle states
+  pushAnxietyState() {
+    const hash = this.anxietyHash();
+    if (hash === window.location.hash) return;
+    const { pathname, search } = window.location;
+    const method = this.options.pushHistory ? 'pushState' : 'replaceState';
+    window.history[method](null, '', `${pathname}${search}${hash}`);
+  }
+
+  applyAnxietyState({ metrics, xRange, mode, basePeriod }) {
+    this.anxietyMetrics.forEach(m => {
+      this.activeMetrics[m.key] = metrics.includes(m.key);
+      this.styleToggle(m);
+    });
+    this.anxietyXRange = xRange;
+
+    const { modeSelect, baseSelect, baseLabel } = this.anxietyControls;
+    this.anxietyOptions.mode = mode;
+    this.anxietyOptions.basePeriod = basePeriod;
+    this.rebuildAnxietyIndex();
+    modeSelect.value = mode;
+    baseSelect.value = this.anxietyIndex.basePeriod;
+    baseLabel.hidden = mode !== 'rebase';
+
+    this.updateAnxietyChart();
+  }
+
+  rebuildAnxietyIndex() {
+    const series = this.anxietyMetrics.map(m => this.anxietyRaw[m.key]);
+    this.anxietyIndex = AnxietyIndex.build(series, this.anxietyOptions);
+  }
+
+  // Scale picker (and base period for rebased mode) rendered under the toggles
+  createNormalizationControl(togglesDiv) {
+    const wrap = document.createElement('div');
+    wrap.className = 'chart-controls';
+
+    const modeLabel = document.createElement('label');
+    modeLabel.textContent = 'Scale';
+    const modeSelect = document.createElement('select');
+    modeSelect.id = 'anxiety-normalization';
+    Object.entries(INDEX_MODES).forEach(([value, text]) => {
+      modeSelect.add(new Option(text, value, false, value === this.anxietyOptions.mode));
+    });
+    modeLabel.appendChild(modeSelect);
+
+    const baseLabel = document.createElement('label');
+    baseLabel.textContent = 'Base period';
+    const baseSelect = document.createElement('select');
+    baseSelect.id = 'anxiety-base-period';
+    this.anxietyIndex.periods.forEach(period => {
+      baseSelect.add(new Option(period, period, false, period === this.anxietyIndex.basePeriod));
+    });
+    baseLabel.appendChild(baseSelect);
+    baseLabel.hidden = this.anxietyOptions.mode !== 'rebase';
+
+    const apply = () => {
+      this.anxietyOptions.mode = modeSelect.value;
+      this.anxietyOptions.basePeriod = baseSelect.value;
+      baseLabel.hidden = modeSelect.value !== 'rebase';
+      this.rebuildAnxietyIndex();
+      this.updateAnxietyChart();
+      this.pushAnxietyState();
+      this.emit('anxiety', 'scale', { mode: this.anxietyIndex.mode, basePeriod: this.anxietyIndex.basePeriod });
+    };
+    modeSelect.addEventListener('change', apply);
+    baseSelect.addEventListener('change', apply);
+
+    this.anxietyControls = { wrap, modeSelect, baseSelect, baseLabel };
+    wrap.append(modeLabel, baseLabel);
+    togglesDiv.insertAdjacentElement('afterend', wrap);
   }
 
-  updateAnxietyChart(months, anxietyAllData) {
-    const isMobile = window.innerWidth < 480;
-    const isTablet = window.innerWidth < 768;
+  updateAnxietyChart() {
+    const size = ChartManager.responsiveLayout('anxiety', this.chartWidth('anxiety'));
+    const index = this.anxietyIndex;
 
     const traces = this.anxietyMetrics
       .filter(m => this.activeMetrics[m.key])
       .map(m => ({
-        x: months,
-        y: anxietyAllData[m.key],
+        x: index.dates,
+        y: index.series[m.key].values,
+        customdata: index.series[m.key].raw,
+        meta: { units: index.series[m.key].units },
+        hovertemplate: `%{y:.0f} · %{customdata:,.2f} ${index.series[m.key].units}<extra>${m.name}</extra>`,
         name: m.name,
         mode: 'lines',
-        line: { color: m.color, width: 3, shape: 'spline' }
+        connectgaps: false,
+        line: { width: 3, shape: 'spline' }
       }));
+    const layout = this.anxietyLayout(size);
+    ChartManager.paint(traces, layout, this.anxietyTheme());
 
-    const layout = {
+    try {
+      this.removeStaticFallback('anxiety-chart');
+      Plotly.react('anxiety-chart', traces, layout, CHART_CONFIG);
+      this.charts.anxiety = 'anxiety-chart';
+      this.sizes.anxiety = size;
+      this.bindChartEvents('anxiety');
+    } catch (error) {
+      console.error('Failed to update anxiety chart:', error);
+    }
+  }
+
+  // The scale note sits right above the plot; the legend goes above it, or under
+  // the year labels once six series no longer fit in a row or two
+  anxietyLayout(size) {
+    const { width, font, tick, axisTitle, hover, margin, nticks, tickangle, legendBelow } = size;
+    const index = this.anxietyIndex;
+    const height = this.chartHeight('anxiety', size);
+    const scaleNote = {
+      minmax: 'All series normalized 0–100',
+      percentile: 'Percentile of each series’ own history (z-score)',
+      rebase: `Rebased to ${index.basePeriod} = 100`
+    }[index.mode];
+
+    const lineHeight = tick * 1.4;
+    const chars = Math.floor((width - margin.l - margin.r) / (tick * 0.6));
+    const note = ChartExporter.wrap(`${scaleNote} · descriptive, not causal`, chars, 2);
+    const top = margin.t + note.length * lineHeight + 8 + (legendBelow ? 0 : font * 1.6 + 10);
+    const plotHeight = height - top - margin.b;
+    // Angled date labels take about three text heights
+    const tickBand = (tickangle ? tick * 3 : tick * 1.4) + 12;
+
+    return {
+      width,
+      height,
       xaxis: {
+        range: this.anxietyXRange || undefined,
+        autorange: !this.anxietyXRange,
         showgrid: true,
-        gridcolor: 'rgba(0,0,0,.06)',
-        tickangle: -45,
-        nticks: isMobile ? 6 : 12,
-        tickfont: { size: isMobile ? 10 : 11 },
+        tickangle,
+        nticks,
+        tickfont: { size: tick },
         showline: true,
-        linewidth: 1,
-        linecolor: 'rgba(0,0,0,.15)'
+        linewidth: 1
       },
       yaxis: {
         title: {
-          text: 'Index (0-100)',
-          font: { size: isMobile ? 11 : 12 }
+          text: index.mode === 'rebase' ? `Index (${index.basePeriod} = 100)` : 'Index (0-100)',
+          font: { size: axisTitle }
         },
-        range: [0, 100],
+        range: index.mode === 'rebase' ? undefined : [0, 100],
+        autorange: index.mode === 'rebase',
         nticks: 6,
-        tickfont: { size: isMobile ? 10 : 11 },
-        gridcolor: 'rgba(0,0,0,.06)'
+        tickfont: { size: tick }
       },
       annotations: [{
-        text: 'All series normalized 0–100 · descriptive, not causal',
+        text: note.join('<br>'),
+        align: 'left',
         x: 0,
         xref: 'paper',
         xanchor: 'left',
-        y: 1.12,
+        y: 1,
         yref: 'paper',
         yanchor: 'bottom',
+        yshift: 4,
         font: {
-          size: isMobile ? 10 : 11,
-          color: '#333',
+          size: tick,
           family: 'Space Grotesk, sans-serif'
         },
         showarrow: false
       }],
-      margin: {
-        l: isMobile ? 50 : 60,
-        r: isMobile ? 20 : 40,
-        t: 50,
-        b: isMobile ? 90 : 80
-      },
-      height: isMobile ? 500 : isTablet ? 700 : 850,
-      plot_bgcolor: '#fff',
-      paper_bgcolor: '#fff',
+      margin: { ...margin, t: Math.round(top) },
       font: {
         family: 'Space Grotesk, sans-serif',
-        size: isMobile ? 11 : 12
-      },
-      legend: {
-        orientation: 'h',
-        x: 0,
-        y: 1.12,
-        font: { size: isMobile ? 11 : 12 }
+        size: font
       },
+      legend: legendBelow
+        ? { orientation: 'h', x: 0, y: -tickBand / plotHeight, yanchor: 'top', font: { size: font } }
+        : { orientation: 'h', x: 0, y: 1 + (note.length * lineHeight + 8) / plotHeight, yanchor: 'bottom', font: { size: font } },
       hoverlabel: {
         font: {
-          size: isMobile ? 12 : 13,
+          size: hover,
           family: 'Space Grotesk, sans-serif'
-        },
-        bgcolor: '#fff',
-        bordercolor: 'rgba(0,0,0,.10)'
+        }
       }
     };
-
-    try {
-      Plotly.newPlot('anxiety-chart', traces, layout, {
-        responsive: true,
-        displayModeBar: false,
-        showTips: false
-      });
-      this.charts.anxiety = 'anxiety-chart';
-    } catch (error) {
-      console.error('Failed to update anxiety chart:', error);
-    }
   }
 
-  handleResize() {
-    window.addEventListener('resize', () => {
-      const isMobile = window.innerWidth < 480;
-      const isTablet = window.innerWidth < 768;
-      const h1 = isMobile ? 520 : isTablet ? 700 : 950;
-      const h2 = isMobile ? 500 : isTablet ? 700 : 850;
+  // Re-bound after every draw, dropping the previous draw's listeners first
+  bindChartEvents(key) {
+    const gd = document.getElementById(`${key}-chart`);
+    this.emit(key, 'render');
+    ['plotly_hover', 'plotly_click', 'plotly_relayout'].forEach(name => gd.removeAllListeners?.(name));
 
-      if (this.charts.intimacy && window.Plotly) {
-        Plotly.relayout('intimacy-chart', { height: h1 });
+    const point = ({ points = [] }) => {
+      const [p] = points;
+      return p ? { series: p.data.name, x: p.x, y: p.y } : {};
+    };
+    gd.on('plotly_hover', (event) => this.emit(key, 'hover', point(event)));
+    gd.on('plotly_click', (event) => this.emit(key, 'click', point(event)));
+
+    gd.on('plotly_relayout', (update) => {
+      const range = update['xaxis.range'] || [update['xaxis.range[0]'], update['xaxis.range[1]']];
+      let xRange;
+      if (update['xaxis.autorange']) {
+        xRange = null;
+      } else if (range[0] !== undefined) {
+        // Plotly reports "2021-03-14 05:32:11.2"; day precision keeps the hash short
+        xRange = range.map(v => String(v).slice(0, 10));
+      } else {
+        return; // colour changes from applyTheme
       }
-      if (this.charts.anxiety && window.Plotly) {
-        Plotly.relayout('anxiety-chart', { height: h2 });
+
+      if (key === 'anxiety') {
+        this.anxietyXRange = xRange;
+        this.pushAnxietyState();
       }
+      this.emit(key, 'zoom', { xRange });
     });
   }
+
+  // Hash that reproduces a chart's current view (used by export and embeds)
+  shareHash(chartKey) {
+    return chartKey === 'anxiety' && this.anxietyIndex ? this.anxietyHash() : '';
+  }
+
+  // Also removes the toggles and scale picker initAnxietyChart() added, so a restart
+  // (registry.destroy() then initAll()) doesn't add a second set
+  cleanup() {
+    this.teardown.abort();
+    this.offTheme?.();
+    this.resizeObserver?.disconnect();
+    clearTimeout(this.resizeTimer);
+    if (window.Plotly) Object.values(this.charts).forEach(id => Plotly.purge(id));
+    Object.values(this.anxietyButtons).forEach(btn => btn.remove());
+    this.anxietyControls?.wrap.remove();
+    this.anxietyButtons = {};
+    this.anxietyControls = null;
+    document.getElementById('anxiety-toggles')?.removeAttribute('hidden');
+  }
 }
 
-// ===== UI CONTROLLER =====
-class UIController {
-  constructor(audioEngine) {
-    this.audioEngine = audioEngine;
+// ===== CHART EXPORT =====
+// Per-story export menu: branded PNG/SVG (title, source line, site URL), the
+// plotted traces as CSV, and an <iframe> snippet pointing at embed.html.
+const EXPORT_PRESETS = {
+  standard: { label: 'PNG', width: 1200, height: 800 },
+  square: { label: 'Square 1080×1080', width: 1080, height: 1080 },
+  vertical: { label: 'Vertical 1080×1920', width: 1080, height: 1920 }
+};
+
+class ChartExporter {
+  constructor(chartManager) {
+    this.chartManager = chartManager;
   }
 
   init() {
-    this.initMusicToggle();
-    this.initVolumeControl();
+    if (!window.Plotly) return;
+
+    Object.entries(this.chartManager.charts).forEach(([key, id]) => {
+      const chart = document.getElementById(id);
+      const story = chart?.closest('.story-card');
+      if (story && !story.querySelector('.chart-export')) {
+        chart.insertAdjacentElement('afterend', this.createMenu(key, story, chart));
+      }
+    });
   }
 
-  initMusicToggle() {
-    const toggle = document.getElementById('music-toggle');
-    const text = toggle.querySelector('.music-toggle-text');
-    const volumeControl = document.getElementById('volume-control');
+  cleanup() {
+    document.querySelectorAll('.chart-export').forEach(menu => menu.remove());
+  }
 
-    toggle.addEventListener('click', async () => {
-      await this.audioEngine.start();
+  createMenu(key, story, chart) {
+    const menu = document.createElement('details');
+    menu.className = 'chart-export';
+    menu.innerHTML = `<summary>Export chart</summary>
+  <div class="chart-export-panel">
+    <div class="chart-export-row" role="group" aria-label="Download image">
+      <span class="chart-export-label">Image</span>
+      ${Object.entries(EXPORT_PRESETS).map(([preset, p]) =>
+        `<button type="button" data-export="png" data-preset="${preset}">${p.label}</button>`).join('')}
+      <button type="button" data-export="svg" data-preset="standard">SVG</button>
+    </div>
+    <div class="chart-export-row" role="group" aria-label="Download data">
+      <span class="chart-export-label">Data</span>
+      <button type="button" data-export="csv">CSV</button>
+    </div>
+    <div class="chart-export-row">
+      <label class="chart-export-label" for="${chart.id}-embed">Embed</label>
+      <textarea id="${chart.id}-embed" readonly rows="3"></textarea>
+      <button type="button" data-export="embed">Copy</button>
+    </div>
+    <p class="chart-export-status" aria-live="polite"></p>
+  </div>`;
+
+    const textarea = menu.querySelector('textarea');
+    const status = menu.querySelector('.chart-export-status');
+
+    // Embed code follows the current view (toggles, zoom), so build it on open
+    menu.addEventListener('toggle', () => {
+      if (menu.open) textarea.value = this.embedCode(key, story, chart);
+    });
+
+    menu.addEventListener('click', async (event) => {
+      const btn = event.target.closest('button[data-export]');
+      if (!btn) return;
+      const { export: format, preset } = btn.dataset;
+
+      btn.disabled = true;
+      status.textContent = 'Preparing…';
+      try {
+        if (format === 'csv') {
+          ChartExporter.download(ChartExporter.toCSV(chart), `${key}-data.csv`, 'text/csv');
+        } else if (format === 'embed') {
+          await ChartExporter.copy(textarea);
+        } else {
+          await this.exportImage(story, chart, format, preset, key);
+        }
+        status.textContent = format === 'embed' ? 'Embed code copied' : 'Download started';
+      } catch (error) {
+        console.error('Chart export failed:', error);
+        status.textContent = 'Export failed — please try again';
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
+    return menu;
+  }
+
+  async exportImage(story, chart, format, preset, key) {
+    const { width, height } = EXPORT_PRESETS[preset];
+    const svg = await this.brandedSVG(story, chart, width, height);
+    const filename = `${key}-${preset}.${format}`;
+
+    if (format === 'svg') {
+      ChartExporter.download(svg, filename, 'image/svg+xml');
+    } else {
+      ChartExporter.download(await ChartExporter.rasterize(svg, width, height), filename);
+    }
+  }
+
+  // Plotly renders the plot at the target size; we frame it with title and credits
+  async brandedSVG(story, chart, width, height) {
+    const e = ContentRenderer.escape;
+    const pad = Math.round(width * 0.045);
+    const titleSize = Math.round(width * 0.034);
+    const bodySize = Math.round(width * 0.015);
+    const lineHeight = bodySize * 1.5;
+
+    const title = story.querySelector('.story-title')?.textContent.trim() || '';
+    const sources = ChartExporter.wrap(ChartExporter.sourceLine(story), Math.floor((width - pad * 2) / (bodySize * 0.55)), 3);
+    const header = pad + titleSize * 1.6;
+    const footer = pad + lineHeight * (sources.length + 1);
+    const plotW = width - pad * 2;
+    const plotH = Math.max(200, Math.round(height - header - footer));
+
+    const url = await Plotly.toImage(chart, { format: 'svg', width: plotW, height: plotH });
+    const data = url.slice(url.indexOf(',') + 1);
+    const plot = (url.includes(';base64,') ? atob(data) : decodeURIComponent(data))
+      .replace(/^<\?xml[^>]*>\s*/, '')
+      .replace('<svg ', `<svg x="${pad}" y="${header}" `);
+
+    const text = (str, y, size, weight, fill) =>
+      `<text x="${pad}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${fill}">${e(str)}</text>`;
+    const footY = header + plotH + lineHeight;
+    // The plot comes out in the current theme, so the frame takes the same tokens
+    const [bg, ink, sub] = ['--chart-bg', '--story-ink', '--story-sub'].map(cssVar);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Space Grotesk, sans-serif">
+<rect width="100%" height="100%" fill="${bg}"/>
+${text(title, pad + titleSize, titleSize, 700, ink)}
+${plot}
+${sources.map((line, i) => text(line, footY + i * lineHeight, bodySize, 400, sub)).join('\n')}
+${text(ChartExporter.siteLine(), footY + sources.length * lineHeight, bodySize, 700, ink)}
+</svg>`;
+  }
+
+  embedCode(key, story, chart) {
+    const url = new URL('embed.html', window.location.href);
+    url.search = `?chart=${encodeURIComponent(key)}`;
+    url.hash = this.chartManager.shareHash(key);
+
+    const title = story.querySelector('.story-title')?.textContent.trim() || key;
+    const height = (chart.layout?.height || 600) + 120;
+    // The script sizes the iframe from the embed's bored:resize messages
+    const resize = "<script>addEventListener('message',function(e){if(!e.data||e.data.type!=='bored:resize')return;"
+      + "document.querySelectorAll('iframe[data-bored-embed]').forEach(function(f){if(f.contentWindow===e.source)f.style.height=e.data.height+'px'})})</script>";
+    return `<iframe src="${url.href}" title="${ContentRenderer.escape(title)}" width="100%" height="${height}" style="border:0" loading="lazy" data-bored-embed></iframe>${resize}`;
+  }
+
+  // "Sources: …" sentence from the story notes, else the whole note minus its label
+  static sourceLine(story) {
+    const notes = story.querySelector('.story-notes');
+    if (!notes) return '';
+    const label = notes.querySelector('strong')?.textContent || '';
+    const text = notes.textContent.replace(label, '').replace(/\s+/g, ' ').trim();
+    const match = text.match(/Sources?:\s*(.+?)(?:\.\s|\.?$)/);
+    return `Source: ${match ? match[1] : text}`;
+  }
+
+  static siteLine() {
+    const brand = document.querySelector('.brand')?.textContent.trim() || document.title;
+    return `${brand} · ${window.location.host}${window.location.pathname}`;
+  }
 
-      if (this.audioEngine.musicEnabled) {
-        toggle.classList.add('active');
-        toggle.setAttribute('aria-pressed', 'true');
-        text.textContent = 'Music On';
-        volumeControl.classList.add('visible');
+  static wrap(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+      if (line && `${line} ${word}`.length > maxChars) {
+        lines.push(line);
+        line = word;
       } else {
-        toggle.classList.remove('active');
-        toggle.setAttribute('aria-pressed', 'false');
-        text.textContent = 'Music Off';
-        volumeControl.classList.remove('visible');
+        line = line ? `${line} ${word}` : word;
       }
     });
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+      lines.length = maxLines;
+      lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s*\S*$/, '')}…`;
+    }
+    return lines;
   }
 
-  initVolumeControl() {
-    const slider = document.getElementById('volume-slider');
-    if (!slider) return;
-    slider.addEventListener('input', (e) => {
-      this.audioEngine.setVolume(e.target.value);
+  // One row per x value across all traces; anxiety traces add their raw values.
+  // Shared by the CSV download and the accessible data table.
+  static table(chart) {
+    const traces = chart.data.filter(t => t.x && t.y);
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const xs = [...new Set(traces.flatMap(t => Array.from(t.x)))].sort(compare);
+
+    const columns = [];
+    traces.forEach(t => {
+      const byX = (values) => new Map(Array.from(t.x).map((x, i) => [x, values[i]]));
+      columns.push({ name: t.name, values: byX(t.y) });
+      if (t.customdata) columns.push({ name: `${t.name} (raw)`, values: byX(t.customdata) });
     });
+
+    return {
+      header: ['x', ...columns.map(c => c.name)],
+      rows: xs.map(x => [x, ...columns.map(c => c.values.get(x))])
+    };
+  }
+
+  static toCSV(chart) {
+    const cell = (v) => {
+      const s = v === null || v === undefined ? '' : String(v);
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const { header, rows } = ChartExporter.table(chart);
+    return `${[header, ...rows].map(r => r.map(cell).join(',')).join('\n')}\n`;
+  }
+
+  static async rasterize(svg, width, height) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  static download(data, filename, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  static async copy(textarea) {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(textarea.value);
+      return;
+    }
+    textarea.select();
+    document.execCommand('copy');
   }
 }
 
-// ===== TikTok embed with proper embed.js (auto-loop, no related, scroll-aware) =====
-;(() => {
-  const el = document.querySelector('#tiktok-card');
-  if (!el) return;
+// ===== CHART ACCESSIBILITY =====
+// Keyboard data cursor, live announcements, a generated summary + data table
+// under .story-notes and a tone-pitch audio graph for each plotted chart.
+//   ←/→ previous/next point · ↑/↓ switch series · Home/End first/last · P play series
+class ChartAccessibility {
+  constructor(chartManager, audioEngine = null) {
+    this.chartManager = chartManager;
+    this.audioEngine = audioEngine;
+    this.cursors = {}; // chart key → { series, point }
+    this.teardown = new AbortController();
+  }
 
-  const url = el.getAttribute('data-tiktok-url') || '';
-  const m = url.match(/video\/(\d+)/);
-  const videoId = m && m[1];
-  if (!videoId) return;
+  init() {
+    Object.entries(this.chartManager.charts).forEach(([key, id]) => {
+      const chart = document.getElementById(id);
+      if (chart) this.setup(key, chart);
+    });
 
-  let blockquoteEl = null;
-  let observer = null;
+    // Anxiety toggles and scale changes redraw the chart; keep the text in step
+    document.addEventListener('chart:interaction', (event) => {
+      const { chart, action } = event.detail;
+      if (action === 'render' && this.cursors[chart]) {
+        this.clampCursor(chart);
+        this.renderDescription(chart);
+      }
+    }, { signal: this.teardown.signal });
+  }
 
-  const hydrate = () => {
-    if (el.dataset.hydrated === '1') return;
-    el.dataset.hydrated = '1';
+  // Removes everything setup() added, so a restart (selfTest, registry.destroy())
+  // starts from the page as it was
+  cleanup() {
+    this.teardown.abort();
+    Object.values(this.cursors).forEach(({ chart, help, live, details }) => {
+      help.remove();
+      live.remove();
+      details.remove();
+      ['tabindex', 'role', 'aria-roledescription', 'aria-label', 'aria-describedby']
+        .forEach(name => chart.removeAttribute(name));
+    });
+    this.cursors = {};
+  }
 
-    // Create TikTok blockquote (official embed method)
-    const blockquote = document.createElement('blockquote');
-    blockquote.className = 'tiktok-embed';
-    blockquote.cite = url;
-    blockquote.setAttribute('data-video-id', videoId);
-    blockquote.style.maxWidth = '325px';
-    blockquote.style.minWidth = '325px';
-    blockquote.style.margin = '0 auto';
+  setup(key, chart) {
+    const { signal } = this.teardown;
+    const story = chart.closest('.story-card');
+    const title = story?.querySelector('.story-title')?.textContent.trim() || key;
+
+    const help = document.createElement('p');
+    help.id = `${chart.id}-help`;
+    help.className = 'sr-only';
+    help.textContent = 'Use left and right arrows to move between points, up and down to switch series, Home and End to jump, and P to play the series as tones.';
+
+    const live = document.createElement('div');
+    live.className = 'sr-only';
+    live.setAttribute('aria-live', 'polite');
+    live.id = `${chart.id}-live`;
+
+    chart.tabIndex = 0;
+    chart.setAttribute('role', 'application');
+    chart.setAttribute('aria-roledescription', 'interactive chart');
+    chart.setAttribute('aria-label', title);
+    chart.setAttribute('aria-describedby', help.id);
+    chart.before(help, live);
+
+    const details = document.createElement('details');
+    details.className = 'chart-data';
+    details.innerHTML = `<summary>Chart summary and data table</summary><div class="chart-data-body"></div>`;
+    const anchor = story?.querySelector('.story-notes') || story?.querySelector('.chart-export') || chart;
+    anchor.insertAdjacentElement('afterend', details);
+    details.addEventListener('click', (event) => {
+      const btn = event.target.closest('button[data-series]');
+      if (btn) this.play(key, Number(btn.dataset.series));
+    }, { signal });
+
+    this.cursors[key] = { series: 0, point: -1, chart, help, live, details };
+    chart.addEventListener('keydown', (event) => this.onKey(key, event), { signal });
+    chart.addEventListener('blur', () => this.unhover(key), { signal });
+    this.renderDescription(key);
+  }
 
-    // Add fallback link
-    const link = document.createElement('a');
-    link.href = url;
-    link.textContent = 'View on TikTok';
-    blockquote.appendChild(link);
+  traces(key) {
+    const { chart } = this.cursors[key];
+    return (chart.data || []).filter(t => t.x && t.y && t.visible !== false);
+  }
 
-    el.innerHTML = '';
-    el.appendChild(blockquote);
-    blockquoteEl = blockquote;
+  // Non-null points of one trace as [{ x, y, raw }]
+  points(trace) {
+    return Array.from(trace.x)
+      .map((x, i) => ({ x, y: trace.y[i], raw: trace.customdata?.[i], index: i }))
+      .filter(p => p.y !== null && p.y !== undefined);
+  }
+
+  clampCursor(key) {
+    const cursor = this.cursors[key];
+    const traces = this.traces(key);
+    cursor.series = Math.min(cursor.series, Math.max(0, traces.length - 1));
+    if (traces[cursor.series]) {
+      cursor.point = Math.min(cursor.point, this.points(traces[cursor.series]).length - 1);
+    }
+  }
+
+  onKey(key, event) {
+    const cursor = this.cursors[key];
+    const traces = this.traces(key);
+    if (!traces.length) return;
+
+    const count = () => this.points(traces[cursor.series]).length;
+    const moves = {
+      ArrowRight: () => { cursor.point = Math.min(count() - 1, cursor.point + 1); },
+      ArrowLeft: () => { cursor.point = Math.max(0, cursor.point - 1); },
+      ArrowDown: () => { cursor.series = (cursor.series + 1) % traces.length; },
+      ArrowUp: () => { cursor.series = (cursor.series - 1 + traces.length) % traces.length; },
+      Home: () => { cursor.point = 0; },
+      End: () => { cursor.point = count() - 1; },
+      p: () => this.play(key, cursor.series),
+      P: () => this.play(key, cursor.series)
+    };
+    const move = moves[event.key];
+    if (!move) return;
+
+    event.preventDefault();
+    move();
+    if (event.key.toLowerCase() === 'p') return;
+
+    // Switching series keeps the x position as close as possible
+    cursor.point = Math.max(0, Math.min(count() - 1, cursor.point));
+    this.announce(key, event.key === 'ArrowUp' || event.key === 'ArrowDown');
+  }
+
+  announce(key, withSeries) {
+    const cursor = this.cursors[key];
+    const trace = this.traces(key)[cursor.series];
+    const points = this.points(trace);
+    const p = points[cursor.point];
+    if (!p) return;
+
+    const units = trace.meta?.units || '';
+    const value = ChartAccessibility.format(p.y);
+    const detail = p.raw !== undefined && p.raw !== null
+      ? `index ${value}, ${ChartAccessibility.format(p.raw)} ${units}`
+      : `${value} ${units}`;
+    const prefix = withSeries ? `${trace.name}. ` : '';
+    cursor.live.textContent = `${prefix}${p.x}: ${detail.trim()}. Point ${cursor.point + 1} of ${points.length}.`;
+    this.hover(key, trace, p.index);
+  }
+
+  // Mirrors the keyboard cursor with Plotly's own hover label
+  hover(key, trace, pointNumber) {
+    const { chart } = this.cursors[key];
+    try {
+      const subplot = `${trace.xaxis || 'x'}${trace.yaxis || 'y'}`;
+      Plotly.Fx.hover(chart, [{ curveNumber: chart.data.indexOf(trace), pointNumber }], subplot);
+    } catch (error) {
+      // Hover labels are a visual extra; the live region already spoke
+    }
+  }
+
+  unhover(key) {
+    try {
+      Plotly.Fx.unhover(this.cursors[key].chart);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+
+  play(key, seriesIndex) {
+    const trace = this.traces(key)[seriesIndex];
+    if (!trace || !this.audioEngine) return;
+    this.cursors[key].live.textContent = `Playing ${trace.name}: low pitch is low values, high pitch is high values.`;
+    this.audioEngine.playSeries(Array.from(trace.y));
+  }
+
+  renderDescription(key) {
+    const { chart, details } = this.cursors[key];
+    const e = ContentRenderer.escape;
+    const traces = this.traces(key);
+    const canPlay = Boolean(this.audioEngine);
+
+    const items = traces.map((trace, i) => {
+      const sentence = ChartAccessibility.describe(trace, this.points(trace));
+      const button = canPlay ? ` <button type="button" data-series="${i}">Play as tones</button>` : '';
+      return `<li>${e(sentence)}${button}</li>`;
+    }).join('');
+
+    const { header, rows } = ChartExporter.table(chart);
+    const cell = (v) => e(v === null || v === undefined ? '–' : ChartAccessibility.format(v));
+    const table = `<table>
+  <caption>Values plotted in ${e(chart.getAttribute('aria-label') || key)}</caption>
+  <thead><tr>${header.map(h => `<th scope="col">${e(h === 'x' ? 'Period' : h)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.map(([x, ...values]) => `<tr><th scope="row">${e(x)}</th>${values.map(v => `<td>${cell(v)}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>`;
+
+    details.querySelector('.chart-data-body').innerHTML = `<ul class="chart-summary">${items}</ul><div class="chart-table">${table}</div>`;
+  }
+
+  // "Sexual frequency fell from 62 in 2000 to 41 in 2022 (high 62 in 2000, low 41 in 2022)."
+  static describe(trace, points) {
+    if (!points.length) return `${trace.name}: no data in this range.`;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const high = points.reduce((a, b) => (b.y > a.y ? b : a));
+    const low = points.reduce((a, b) => (b.y < a.y ? b : a));
+    const f = ChartAccessibility.format;
+    // Index traces (with raw customdata) are unitless 0–100 values
+    const units = trace.meta?.units && !trace.customdata ? ` ${trace.meta.units}` : '';
+
+    const change = (last.y - first.y) / (Math.abs(first.y) || 1);
+    const verb = Math.abs(change) < 0.02 ? 'held steady' : change > 0 ? 'rose' : 'fell';
+    return `${trace.name} ${verb} from ${f(first.y)} in ${first.x} to ${f(last.y)}${units} in ${last.x} `
+      + `(high ${f(high.y)} in ${high.x}, low ${f(low.y)} in ${low.x}).`;
+  }
+
+  static format(value) {
+    if (typeof value !== 'number') return String(value);
+    return Math.abs(value) >= 100 ? Math.round(value).toLocaleString('en-US') : String(Math.round(value * 10) / 10);
+  }
+}
+
+// ===== UI CONTROLLER =====
+class UIController {
+  constructor(audioEngine, motion = null, theme = null) {
+    this.audioEngine = audioEngine;
+    this.motion = motion;
+    this.theme = theme;
+    this.settings = new AudioSettings();
+    this.teardown = new AbortController(); // header controls outlive the app instance
+  }
+
+  init() {
+    this.audioEngine.applySettings(this.settings.values);
+    this.audioEngine.mode = this.settings.values.mode;
+
+    this.initMusicToggle();
+    this.initSonifyToggle();
+    this.initVolumeControl();
+    this.initSettingsPanel();
+    this.resumeAfterGesture();
+  }
+
+  initMusicToggle() {
+    const toggle = document.getElementById('music-toggle');
+    toggle.addEventListener('click', async () => {
+      this.cancelResume?.();
+      await this.audioEngine.start();
+      this.settings.update({ music: this.audioEngine.musicEnabled });
+      this.syncMusicToggle();
+    }, { signal: this.teardown.signal });
+  }
+
+  syncMusicToggle() {
+    const toggle = document.getElementById('music-toggle');
+    const text = toggle.querySelector('.music-toggle-text');
+    const volumeControl = document.getElementById('volume-control');
+
+    if (this.audioEngine.musicEnabled) {
+      toggle.classList.add('active');
+      toggle.setAttribute('aria-pressed', 'true');
+      text.textContent = 'Music On';
+      volumeControl.classList.add('visible');
+    } else {
+      toggle.classList.remove('active');
+      toggle.setAttribute('aria-pressed', 'false');
+      text.textContent = 'Music Off';
+      volumeControl.classList.remove('visible');
+    }
+  }
+
+  // Switches the soundtrack between the ambient loop and the data sonification;
+  // turning it on also starts the music
+  initSonifyToggle() {
+    const toggle = document.getElementById('sonify-toggle');
+    if (!toggle) return;
+
+    const sync = () => {
+      const enabled = this.audioEngine.mode === 'sonify';
+      toggle.classList.toggle('active', enabled);
+      toggle.setAttribute('aria-pressed', String(enabled));
+    };
+
+    toggle.addEventListener('click', async () => {
+      this.cancelResume?.();
+      const enable = this.audioEngine.mode !== 'sonify';
+      await this.audioEngine.setMode(enable ? 'sonify' : 'ambient');
+      if (enable && !this.audioEngine.musicEnabled) await this.audioEngine.start();
+
+      this.settings.update({ mode: this.audioEngine.mode, music: this.audioEngine.musicEnabled });
+      sync();
+      this.syncMusicToggle();
+    }, { signal: this.teardown.signal });
+    sync();
+  }
+
+  initVolumeControl() {
+    const slider = document.getElementById('volume-slider');
+    if (!slider) return;
+    slider.value = this.settings.values.musicVolume;
+    slider.addEventListener('input', (e) => {
+      this.changeSetting({ musicVolume: Number(e.target.value) });
+    }, { signal: this.teardown.signal });
+  }
+
+  // Any manual change turns the preset picker to "Custom"
+  changeSetting(patch, preset = 'custom') {
+    this.settings.update({ ...patch, preset });
+    this.audioEngine.applySettings(this.settings.values);
+    this.syncSettingsPanel();
+  }
+
+  initSettingsPanel() {
+    const toggle = document.getElementById('sound-settings-toggle');
+    const panel = document.getElementById('sound-settings');
+    if (!toggle || !panel) return;
+
+    const presetSelect = document.getElementById('sound-preset');
+    presetSelect.length = 0;
+    Object.entries(AUDIO_PRESETS).forEach(([value, { label }]) => {
+      presetSelect.add(new Option(label, value));
+    });
+    presetSelect.add(new Option('Custom', 'custom'));
+
+    presetSelect.addEventListener('change', () => {
+      if (!AUDIO_PRESETS[presetSelect.value]) return;
+      this.settings.applyPreset(presetSelect.value);
+      this.audioEngine.applySettings(this.settings.values);
+      this.syncSettingsPanel();
+    }, { signal: this.teardown.signal });
+    document.getElementById('sound-music-volume').addEventListener('input', (e) => {
+      this.changeSetting({ musicVolume: Number(e.target.value) });
+    }, { signal: this.teardown.signal });
+    document.getElementById('sound-ui-volume').addEventListener('input', (e) => {
+      this.changeSetting({ uiVolume: Number(e.target.value) });
+    }, { signal: this.teardown.signal });
+    document.getElementById('sound-reduced').addEventListener('change', (e) => {
+      this.changeSetting({ reduced: e.target.checked });
+    }, { signal: this.teardown.signal });
+    // Mute is a quick on/off, not a different mix, so it keeps the preset
+    document.getElementById('sound-muted').addEventListener('change', (e) => {
+      this.changeSetting({ muted: e.target.checked }, this.settings.values.preset);
+    }, { signal: this.teardown.signal });
+    // Motion is its own preference (MotionPolicy), not part of the sound presets
+    const motionToggle = document.getElementById('motion-reduced');
+    if (motionToggle && this.motion) {
+      motionToggle.checked = this.motion.preference === 'reduce';
+      motionToggle.addEventListener('change', (e) => {
+        this.motion.setPreference(e.target.checked ? 'reduce' : 'auto');
+      }, { signal: this.teardown.signal });
+    }
+    // So is the theme (ThemeManager); "auto" keeps following the system
+    const themeSelect = document.getElementById('theme-preference');
+    if (themeSelect && this.theme) {
+      themeSelect.length = 0;
+      Object.entries(THEME_CHOICES).forEach(([value, label]) => themeSelect.add(new Option(label, value)));
+      themeSelect.value = this.theme.preference;
+      themeSelect.addEventListener('change', () => {
+        this.theme.setPreference(themeSelect.value);
+      }, { signal: this.teardown.signal });
+    }
+
+    const setOpen = (open) => {
+      panel.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+      toggle.classList.toggle('active', open);
+    };
+    toggle.addEventListener('click', () => setOpen(panel.hidden), { signal: this.teardown.signal });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !panel.hidden) {
+        setOpen(false);
+        toggle.focus();
+      }
+    }, { signal: this.teardown.signal });
+    document.addEventListener('click', (e) => {
+      if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) setOpen(false);
+    }, { signal: this.teardown.signal });
+
+    this.syncSettingsPanel();
+  }
+
+  syncSettingsPanel() {
+    const { preset, musicVolume, uiVolume, muted, reduced } = this.settings.values;
+    const set = (id, prop, value) => {
+      const el = document.getElementById(id);
+      if (el) el[prop] = value;
+    };
+    set('sound-preset', 'value', preset);
+    set('sound-music-volume', 'value', musicVolume);
+    set('sound-ui-volume', 'value', uiVolume);
+    set('sound-muted', 'checked', muted);
+    set('sound-reduced', 'checked', reduced);
+    set('volume-slider', 'value', musicVolume);
+  }
+
+  // Browsers block audio until the reader interacts, so a saved "music on" waits
+  // for the first gesture. The music toggles cancel it and decide for themselves.
+  resumeAfterGesture() {
+    if (!this.settings.values.music) return;
+
+    const events = ['pointerdown', 'keydown'];
+    const resume = async (event) => {
+      if (event.target.closest?.('.header-controls')) return;
+      this.cancelResume();
+      if (this.audioEngine.musicEnabled) return;
+      await this.audioEngine.start();
+      this.syncMusicToggle();
+    };
+    this.cancelResume = () => {
+      events.forEach(type => document.removeEventListener(type, resume, true));
+      this.cancelResume = null;
+    };
+    events.forEach(type => document.addEventListener(type, resume, true));
+  }
+
+  // Empties the selects initSettingsPanel() filled, so a restart lists each choice once
+  cleanup() {
+    this.teardown.abort();
+    this.cancelResume?.();
+    ['sound-preset', 'theme-preference'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) select.length = 0;
+    });
+  }
+}
+
+// ===== TikTok embed with proper embed.js (auto-loop, no related, scroll-aware) =====
+;(() => {
+  if (typeof document === 'undefined') return;
+  const el = document.querySelector('#tiktok-card');
+  if (!el) return;
+
+  const url = el.getAttribute('data-tiktok-url') || '';
+  const m = url.match(/video\/(\d+)/);
+  const videoId = m && m[1];
+  if (!videoId) return;
+
+  let blockquoteEl = null;
+  let observer = null;
+
+  const hydrate = () => {
+    if (el.dataset.hydrated === '1') return;
+    el.dataset.hydrated = '1';
+
+    // Create TikTok blockquote (official embed method)
+    const blockquote = document.createElement('blockquote');
+    blockquote.className = 'tiktok-embed';
+    blockquote.cite = url;
+    blockquote.setAttribute('data-video-id', videoId);
+    blockquote.style.maxWidth = '325px';
+    blockquote.style.minWidth = '325px';
+    blockquote.style.margin = '0 auto';
+
+    // Add fallback link
+    const link = document.createElement('a');
+    link.href = url;
+    link.textContent = 'View on TikTok';
+    blockquote.appendChild(link);
+
+    el.innerHTML = '';
+    el.appendChild(blockquote);
+    blockquoteEl = blockquote;
 
     // Load TikTok embed script
     if (!window.tiktokEmbedLoaded) {
@@ -1136,84 +3734,478 @@ class UIController {
   mainObserver.observe(el);
 })();
 
-// ===== MAIN APPLICATION =====
-class MicrositeApp {
-  constructor() {
-    // keep constructor light so no ReferenceErrors block init()
-    this.loaderEl = document.getElementById('loader');
-    this.modules = {};
+// ===== CONTENT RENDERER =====
+// Builds press cards, voice moments and story cards from content/manifest.json.
+// Templates return strings so the same markup can be rendered outside the browser.
+const CONTENT_SCHEMA_VERSION = 1;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const ARROW_SVG = '<svg viewBox="0 0 24 24" focusable="false"><path d="M5 12h14M13 5l7 7-7 7"/></svg>';
+
+class ContentRenderer {
+  constructor(root = document.getElementById('content')) {
+    this.root = root;
+    this.manifest = null;
   }
 
   async init() {
+    const url = this.root?.dataset.manifest;
+    if (!url) return;
+
     try {
-      // start loader (fallback if LoaderManager missing)
-      if (typeof LoaderManager !== 'undefined') {
-        this.modules.loader = new LoaderManager();
-        this.modules.loader.start();
-      } else {
-        this.loaderEl?.classList.remove('hidden'); // ensure visible
-      }
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+      const text = await res.text();
+      this.manifest = ContentRenderer.validate(JSON.parse(text));
+
+      // build.mjs stamps the manifest hash it rendered; keep that markup (and its
+      // static chart fallbacks) unless the manifest has changed since the build
+      if (this.root.dataset.build === ContentRenderer.hash(text)) return;
+      this.root.innerHTML = ContentRenderer.render(this.manifest);
+    } catch (error) {
+      // The static HTML already in #content stays as the fallback
+      console.error('Content manifest failed, keeping static markup:', error);
+    }
+  }
 
-      // Wait for libs (only if your DependencyManager exists)
-      if (typeof DependencyManager !== 'undefined') {
-        const deps = new DependencyManager();
-        await deps.waitForDependencies();
-      }
+  static validate(manifest) {
+    const fail = (msg) => { throw new Error(`content manifest: ${msg}`); };
+    const required = {
+      'press-feed': ['cards'],
+      voice: ['label', 'html'],
+      story: ['id', 'title', 'chart'],
+      memo: ['src', 'alt']
+    };
+    const cardFields = ['id', 'kicker', 'headline', 'url', 'source'];
 
-      // Init modules only if available to avoid hard crashes
-      if (typeof ThreeBackground !== 'undefined') {
-        this.modules.three = new ThreeBackground(); this.modules.three.init();
-      }
-      if (typeof AnimationController !== 'undefined') {
-        this.modules.anim = new AnimationController(); this.modules.anim.init();
-      }
-      if (typeof ChartManager !== 'undefined') {
-        this.modules.charts = new ChartManager(); this.modules.charts.init();
-      }
-      if (typeof CursorManager !== 'undefined' && typeof AudioEngine !== 'undefined') {
-        this.modules.audio = new AudioEngine();
-        this.modules.cursor = new CursorManager(this.modules.audio); this.modules.cursor.init();
-      }
-      if (typeof UIController !== 'undefined') {
-        this.modules.ui = new UIController(this.modules.audio); this.modules.ui.init();
-      }
+    if (manifest?.version !== CONTENT_SCHEMA_VERSION) fail(`unsupported version ${manifest?.version}`);
+    if (!Array.isArray(manifest.blocks)) fail('"blocks" must be an array');
+    const kickers = manifest.kickers || [];
 
-      // done
-      this.complete();
-    } catch (err) {
-      console.error('Failed to initialize app:', err);
-      this.complete(); // still hide loader
-    }
+    manifest.blocks.forEach((block, i) => {
+      if (!required[block.type]) fail(`blocks[${i}] has unknown type "${block.type}"`);
+      required[block.type].forEach(key => {
+        if (block[key] === undefined) fail(`blocks[${i}] (${block.type}) is missing "${key}"`);
+      });
+
+      (block.cards || []).forEach(card => {
+        cardFields.forEach(key => {
+          if (!card[key]) fail(`card "${card.id || '?'}" is missing "${key}"`);
+        });
+        if (kickers.length && !kickers.includes(card.kicker)) {
+          fail(`card "${card.id}" uses unknown kicker "${card.kicker}"`);
+        }
+        if (card.date && !/^\d{4}-\d{2}-\d{2}$/.test(card.date)) {
+          fail(`card "${card.id}" has a malformed date "${card.date}"`);
+        }
+        if (card.tags !== undefined &&
+            (!Array.isArray(card.tags) || card.tags.some(t => typeof t !== 'string' || t.includes(',')))) {
+          fail(`card "${card.id}" tags must be an array of strings without commas`);
+        }
+      });
+    });
+
+    return manifest;
   }
 
-  complete() {
-    if (this.modules.loader && typeof this.modules.loader.complete === 'function') {
-      this.modules.loader.complete();
-    } else {
-      this.loaderEl?.classList.add('hidden');
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // FNV-1a, hex encoded; only used to tell whether prerendered markup is stale
+  static hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
     }
+    return h.toString(16).padStart(8, '0');
   }
 
-  cleanup() {
-    try { this.modules.audio?.cleanup?.(); } catch {}
-    try { this.modules.cursor?.cleanup?.(); } catch {}
-    try { this.modules.three?.cleanup?.(); } catch {}
-    try { this.modules.anim?.cleanup?.(); } catch {}
+  static slug(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  // "2025-10-25" → "Oct&nbsp;25,&nbsp;2025" without depending on the runtime locale
+  static formatDate(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return `${MONTHS[m - 1]}&nbsp;${d},&nbsp;${y}`;
+  }
+
+  // Newest first; undated cards keep their manifest order after the dated ones
+  static sortCards(cards) {
+    return cards
+      .map((card, i) => ({ card, i }))
+      .sort((a, b) => {
+        if (a.card.date && b.card.date && a.card.date !== b.card.date) {
+          return a.card.date < b.card.date ? 1 : -1;
+        }
+        if (!a.card.date !== !b.card.date) return a.card.date ? -1 : 1;
+        return a.i - b.i;
+      })
+      .map(({ card }) => card);
+  }
+
+  // options.charts maps chart ids to static fallback markup (see build.mjs)
+  static render(manifest, options = {}) {
+    const charts = options.charts || {};
+    return manifest.blocks.map(block => {
+      switch (block.type) {
+        case 'press-feed':
+          return ContentRenderer.sortCards(block.cards).map(ContentRenderer.renderPressCard).join('\n');
+        case 'voice': return ContentRenderer.renderVoice(block);
+        case 'story': return ContentRenderer.renderStory(block, charts[block.chart]);
+        case 'memo': return ContentRenderer.renderMemo(block);
+        default: return '';
+      }
+    }).join('\n\n');
+  }
+
+  static renderPressCard(card) {
+    const e = ContentRenderer.escape;
+    const meta = [`<span>${e(card.source)}</span>`];
+    if (card.date) meta.push(`<time datetime="${card.date}">${ContentRenderer.formatDate(card.date)}</time>`);
+    if (card.readTime) meta.push(`<span>${e(card.readTime)}-min read</span>`);
+    if (card.format) meta.push(`<span>${e(card.format)}</span>`);
+
+    const video = card.video ? `
+    <div class="ttk"
+         data-tiktok-url="${e(card.video.tiktokUrl)}"
+         data-title="${e(card.video.title)}"
+         data-sub="${e(card.video.sub)}"
+         data-cta="${e(card.video.cta)}"
+         data-poster="${e(card.video.poster)}">
+      <button class="ttk__poster" type="button" aria-label="Play TikTok">
+        <img class="ttk__poster-img" alt="TikTok preview" loading="lazy" decoding="async">
+        <span class="ttk__play" aria-hidden="true">▶</span>
+      </button>
+    </div>
+` : '';
+
+    const attrs = [
+      `data-card-id="${e(card.id)}"`,
+      `data-kicker="${e(card.kicker)}"`,
+      `data-source="${e(card.source)}"`,
+      card.date ? `data-date="${card.date}"` : '',
+      card.tags?.length ? `data-tags="${e(card.tags.join(','))}"` : ''
+    ].filter(Boolean).join(' ');
+
+    return `<section class="press" aria-label="Press" ${attrs}>
+  <article class="press-card${card.video ? ' press-card--video' : ''}">
+    <div class="press-toprule" aria-hidden="true"></div>
+${video}    <a class="press-link"
+       href="${e(card.url)}"
+       target="_blank" rel="noopener noreferrer"
+       aria-label="${e(card.ariaLabel || `Read: ${card.headline}`)}">
+      <div>
+        <div class="press-kicker press-kicker--${ContentRenderer.slug(card.kicker)}">${e(card.kicker)}</div>
+        <h2 class="press-headline">${e(card.headline)}</h2>
+        ${card.dek ? `<p class="press-dek">${e(card.dek)}</p>` : ''}
+        <div class="press-meta">
+          ${meta.join('\n          <span class="press-dot" aria-hidden="true"></span>\n          ')}
+        </div>
+      </div>
+      <div class="press-cta" aria-hidden="true">
+        ${e(card.cta || 'Read article')}
+        ${ARROW_SVG}
+      </div>
+    </a>
+  </article>
+</section>`;
+  }
+
+  // Voice, notes and source copy are editor-authored HTML (strong/em only by convention)
+  static renderVoice(block) {
+    return `<div class="voice-moment">
+  <div class="voice-label">${ContentRenderer.escape(block.label)}</div>
+  <p class="voice-text">${block.html}</p>
+</div>`;
+  }
+
+  static renderMemo(block) {
+    const e = ContentRenderer.escape;
+    return `<article class="nyt-memo-image">
+  <img src="${e(block.src)}" alt="${e(block.alt)}" loading="lazy">
+</article>`;
+  }
+
+  static renderStory(block, chartFallback = '') {
+    const e = ContentRenderer.escape;
+    const toggles = block.toggles
+      ? `\n  <div class="metric-toggles" id="${e(block.toggles)}" role="group" aria-label="Toggle data series"></div>`
+      : '';
+
+    return `<article class="story-card" data-story="${e(block.id)}">
+  <div class="story-header">
+    ${block.kicker ? `<div class="story-kicker">${e(block.kicker)}</div>` : ''}
+    <h2 class="story-title">${e(block.title)}</h2>
+    ${block.subtitle ? `<div class="story-subtitle">${e(block.subtitle)}</div>` : ''}
+    ${block.byline ? `<div class="story-byline">${e(block.byline)}</div>` : ''}
+  </div>
+
+  ${block.lede ? `<div class="story-lede">${e(block.lede)}</div>` : ''}
+${toggles}
+  <div id="${e(block.chart)}" class="story-chart">${chartFallback}</div>
+
+  ${block.notes ? `<div class="story-notes">${block.notes}</div>` : ''}
+  ${block.source ? `<div class="story-source">${block.source}</div>` : ''}
+</article>`;
   }
 }
 
-// ===== BOOTSTRAP =====
-const boot = () => { window.app = new MicrositeApp(); window.app.init(); };
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', boot);
-} else {
-  boot();
+// ===== PRESS FILTER =====
+// Chips, search and a date range over the press cards. State is mirrored in the
+// query string (?kicker=Press&tag=ai&q=chatgpt&from=2025-11-01) so views can be shared.
+const FILTER_GROUPS = [
+  { key: 'kicker', label: 'Section' },
+  { key: 'source', label: 'Source' },
+  { key: 'tag', label: 'Tag' }
+];
+
+class PressFilter {
+  constructor(root = document.getElementById('content'), bus = null) {
+    this.root = root;
+    this.bus = bus;
+    this.cards = [];
+    this.state = { kicker: [], source: [], tag: [], q: '', from: '', to: '' };
+    this.elements = {};
+    this.searchTimer = null;
+  }
+
+  init() {
+    if (!this.root) return;
+
+    this.cards = Array.from(this.root.querySelectorAll('.press[data-card-id]')).map(el => ({
+      el,
+      kicker: [el.dataset.kicker].filter(Boolean),
+      source: [el.dataset.source].filter(Boolean),
+      tag: (el.dataset.tags || '').split(',').filter(Boolean),
+      date: el.dataset.date || '',
+      text: [
+        el.querySelector('.press-headline')?.textContent,
+        el.querySelector('.press-dek')?.textContent
+      ].join(' ').replace(/\s+/g, ' ').toLowerCase()
+    }));
+    if (!this.cards.length) return;
+
+    this.readQuery();
+    this.renderBar();
+    this.apply(false);
+  }
+
+  readQuery() {
+    const params = new URLSearchParams(window.location.search);
+    FILTER_GROUPS.forEach(({ key }) => {
+      this.state[key] = (params.get(key) || '').split(',').filter(Boolean);
+    });
+    this.state.q = params.get('q') || '';
+    this.state.from = params.get('from') || '';
+    this.state.to = params.get('to') || '';
+  }
+
+  // replaceState keeps unrelated params and the chart hash intact
+  writeQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const set = (key, value) => (value ? params.set(key, value) : params.delete(key));
+    FILTER_GROUPS.forEach(({ key }) => set(key, this.state[key].join(',')));
+    set('q', this.state.q.trim());
+    set('from', this.state.from);
+    set('to', this.state.to);
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  renderBar() {
+    const bar = document.createElement('div');
+    bar.className = 'press-filters';
+    bar.setAttribute('role', 'search');
+    bar.setAttribute('aria-label', 'Filter press cards');
+
+    FILTER_GROUPS.forEach(group => {
+      const values = [...new Set(this.cards.flatMap(c => c[group.key]))].sort();
+      if (values.length < 2) return;
+
+      const row = document.createElement('div');
+      row.className = 'press-filters-group';
+      row.setAttribute('role', 'group');
+      row.setAttribute('aria-label', `Filter by ${group.label.toLowerCase()}`);
+
+      const label = document.createElement('span');
+      label.className = 'press-filters-label';
+      label.textContent = group.label;
+      row.appendChild(label);
+
+      values.forEach(value => row.appendChild(this.createChip(group, value)));
+      bar.appendChild(row);
+    });
+
+    const fields = document.createElement('div');
+    fields.className = 'press-filters-fields';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'Search headlines';
+    search.value = this.state.q;
+    search.setAttribute('aria-label', 'Search headlines and summaries');
+    search.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.state.q = search.value;
+        this.update();
+      }, 200);
+    });
+
+    const dates = this.cards.map(c => c.date).filter(Boolean).sort();
+    const dateInput = (key, text) => {
+      const label = document.createElement('label');
+      label.textContent = text;
+      const input = document.createElement('input');
+      input.type = 'date';
+      input.value = this.state[key];
+      input.min = dates[0] || '';
+      input.max = dates[dates.length - 1] || '';
+      input.addEventListener('change', () => {
+        this.state[key] = input.value;
+        this.update();
+      });
+      label.appendChild(input);
+      return label;
+    };
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'press-filters-clear';
+    clear.textContent = 'Clear';
+    clear.addEventListener('click', () => this.clear());
+
+    fields.append(search, dateInput('from', 'From'), dateInput('to', 'To'), clear);
+    bar.appendChild(fields);
+
+    const status = document.createElement('p');
+    status.className = 'press-filters-status';
+    status.setAttribute('aria-live', 'polite');
+    bar.appendChild(status);
+
+    const empty = document.createElement('p');
+    empty.className = 'press-filters-empty';
+    empty.textContent = 'No press cards match these filters.';
+    empty.hidden = true;
+
+    this.cards[0].el.before(bar, empty);
+    this.elements = { bar, search, status, empty };
+  }
+
+  // Same accessible switch pattern as the #anxiety-toggles buttons
+  createChip(group, value) {
+    const btn = document.createElement('button');
+    const isActive = this.state[group.key].includes(value);
+    btn.type = 'button';
+    btn.className = `filter-chip${isActive ? ' active' : ''}`;
+    btn.textContent = value;
+    btn.dataset.group = group.key;
+    btn.dataset.value = value;
+    btn.setAttribute('role', 'switch');
+    btn.setAttribute('aria-pressed', String(isActive));
+    btn.setAttribute('aria-label', `${group.label}: ${value}`);
+
+    btn.addEventListener('click', () => {
+      const active = btn.getAttribute('aria-pressed') === 'true';
+      btn.setAttribute('aria-pressed', String(!active));
+      btn.classList.toggle('active', !active);
+
+      const selected = this.state[group.key];
+      this.state[group.key] = active ? selected.filter(v => v !== value) : [...selected, value];
+      this.update();
+    });
+    return btn;
+  }
+
+  clear() {
+    this.state = { kicker: [], source: [], tag: [], q: '', from: '', to: '' };
+    this.elements.bar.querySelectorAll('.filter-chip').forEach(btn => {
+      btn.setAttribute('aria-pressed', 'false');
+      btn.classList.remove('active');
+    });
+    this.elements.bar.querySelectorAll('input').forEach(input => { input.value = ''; });
+    this.update();
+  }
+
+  update() {
+    this.writeQuery();
+    this.apply(true);
+  }
+
+  // Chips OR within a group and AND across groups; search needs every word
+  matches(card) {
+    const groupsOk = FILTER_GROUPS.every(({ key }) => {
+      const selected = this.state[key];
+      return !selected.length || selected.some(v => card[key].includes(v));
+    });
+    if (!groupsOk) return false;
+
+    const words = this.state.q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.every(w => card.text.includes(w))) return false;
+
+    if (this.state.from || this.state.to) {
+      if (!card.date) return false;
+      if (this.state.from && card.date < this.state.from) return false;
+      if (this.state.to && card.date > this.state.to) return false;
+    }
+    return true;
+  }
+
+  apply(animate) {
+    let shown = 0;
+    this.cards.forEach(card => {
+      const visible = this.matches(card);
+      const wasHidden = card.el.hidden;
+      card.el.hidden = !visible;
+      if (visible) shown++;
+      if (visible && wasHidden && animate) this.reveal(card.el);
+    });
+
+    const { status, empty } = this.elements;
+    status.textContent = shown === this.cards.length
+      ? `Showing all ${shown} press cards`
+      : `Showing ${shown} of ${this.cards.length} press cards`;
+    empty.hidden = shown > 0;
+
+    // Hidden cards change the page height under every later trigger
+    if (window.ScrollTrigger) ScrollTrigger.refresh();
+  }
+
+  // AnimationController picks this up once GSAP is ready; until then just show the card
+  reveal(el) {
+    if (window.gsap && this.bus?.emit('content:reveal', el)) return;
+    el.style.opacity = '1';
+    el.style.transform = 'none';
+  }
+
+  cleanup() {
+    clearTimeout(this.searchTimer);
+    this.elements.bar?.remove();
+    this.elements.empty?.remove();
+    this.cards.forEach(card => { card.el.hidden = false; });
+  }
 }
 
-(() => {
-  const prefersReduced = matchMedia('(prefers-reduced-motion: reduce)').matches;
-  const cards = Array.from(document.querySelectorAll('.ttk'));
+// ===== TikTok poster cards (poster-first, hydrate on scroll or click) =====
+function initTikTokCards(root = document, motion = null) {
+  // Autoplaying video on scroll is skipped for reduced motion and for Save-Data/low battery
+  const prefersReduced = motion
+    ? motion.level !== 'full'
+    : matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const cards = Array.from(root.querySelectorAll('.ttk'));
   for (const card of cards) {
+    // Re-rendered content calls this again; only wire each card once
+    if (card.dataset.ttkReady === '1') continue;
+    card.dataset.ttkReady = '1';
+
     const url = card.dataset.tiktokUrl || '';
     const vid = (url.match(/video\/(\d+)/) || [])[1];
     if (!vid) continue;
@@ -1265,9 +4257,984 @@ if (document.readyState === 'loading') {
       io.observe(card);
     }
   }
-})();
+}
+
+// ===== OFFLINE =====
+// Registers sw.js (precache and versioned caches live there). A new version waits
+// in the background; the toast lets the reader switch now instead of on the next visit.
+class OfflineManager {
+  constructor(scriptUrl = 'sw.js') {
+    this.scriptUrl = scriptUrl;
+    this.registration = null;
+    this.toast = null;
+    this.reloading = false;
+  }
+
+  async init() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return this;
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+      return this;
+    }
+
+    // An update that finished installing during an earlier visit
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdate(this.registration.waiting);
+    }
+    this.registration.addEventListener('updatefound', () => {
+      const worker = this.registration.installing;
+      worker?.addEventListener('statechange', () => {
+        // No controller means this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showUpdate(worker);
+      });
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!this.reloading) return;
+      window.location.reload();
+    });
+    return this;
+  }
+
+  showUpdate(worker) {
+    if (this.toast) return;
+
+    const toast = document.createElement('div');
+    toast.className = 'update-toast';
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = 'A new version of this page is available.';
+    const reload = document.createElement('button');
+    reload.type = 'button';
+    reload.className = 'update-toast-reload';
+    reload.textContent = 'Reload';
+    reload.addEventListener('click', () => {
+      this.reloading = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'update-toast-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => this.hideUpdate());
+
+    toast.append(text, reload, dismiss);
+    document.body.appendChild(toast);
+    this.toast = toast;
+  }
+
+  hideUpdate() {
+    this.toast?.remove();
+    this.toast = null;
+  }
+
+  cleanup() {
+    this.hideUpdate();
+  }
+}
+
+// ===== MODULE REGISTRY =====
+// Lifecycle for the microsite's modules. A definition is
+//   { name, deps: [...], optional: [...], requires: ['THREE', ...], init(ctx), destroy?(instance) }
+// init({ app, bus, modules, random }) gets the started dependencies by name in modules,
+// its own seeded stream in random (see RANDOM), and returns the instance (or a
+// promise of it). Modules start in dependency order, registration order otherwise.
+// A module that throws is logged and skipped, and so is everything with a hard
+// dependency on it; optional dependencies are started first when registered but
+// may be missing. destroy() runs in reverse start order and defaults to the
+// instance's cleanup().
+//
+// Other scripts add modules through a queue, before or after boot:
+//   (window.boredModules = window.boredModules || []).push({ name, deps, init })
+class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    this.handlers.get(type)?.delete(handler);
+  }
+
+  // Returns how many handlers ran; a failing handler doesn't stop the others
+  emit(type, detail) {
+    const handlers = [...(this.handlers.get(type) || [])];
+    handlers.forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Handler for "${type}" failed:`, error);
+      }
+    });
+    return handlers.length;
+  }
+
+  clear() {
+    this.handlers.clear();
+  }
+}
+
+class ModuleRegistry {
+  constructor(app = null) {
+    this.app = app;
+    this.bus = new EventBus();
+    this.definitions = new Map();
+    this.modules = {}; // name → instance of every started module
+    this.status = {}; // name → 'pending' | 'ready' | 'failed' | 'skipped'
+    this.errors = {}; // name → why it failed or was skipped
+    this.starting = new Map(); // name → promise, so shared dependencies start once
+    this.order = [];
+    this.started = false;
+  }
+
+  register(definition) {
+    const { name } = definition || {};
+    if (!name || typeof definition.init !== 'function') {
+      throw new Error('A module needs a name and an init() function');
+    }
+    if (this.definitions.has(name)) throw new Error(`Module "${name}" is already registered`);
+
+    this.definitions.set(name, { deps: [], optional: [], requires: [], ...definition });
+    this.status[name] = 'pending';
+    // Registered after boot: start right away
+    if (this.started) this.start(name);
+  }
+
+  async initAll() {
+    this.started = true;
+    for (const name of this.definitions.keys()) {
+      await this.start(name);
+    }
+    this.bus.emit('app:ready', { status: { ...this.status } });
+  }
+
+  // Resolves true once the module is ready, false if it failed or was skipped
+  start(name, chain = []) {
+    if (chain.includes(name)) {
+      console.error(`Module dependency cycle: ${[...chain, name].join(' → ')}`);
+      return Promise.resolve(false);
+    }
+    if (!this.starting.has(name)) this.starting.set(name, this.boot(name, chain));
+    return this.starting.get(name);
+  }
+
+  async boot(name, chain) {
+    const definition = this.definitions.get(name);
+    const skip = (reason) => {
+      this.status[name] = 'skipped';
+      this.errors[name] = reason;
+      console.error(`Module "${name}" skipped: ${reason}`);
+      return false;
+    };
+
+    for (const dep of definition.deps) {
+      if (!this.definitions.has(dep)) return skip(`unknown dependency "${dep}"`);
+      if (!(await this.start(dep, [...chain, name]))) return skip(`dependency "${dep}" is unavailable`);
+    }
+    for (const dep of definition.optional) {
+      if (this.definitions.has(dep)) await this.start(dep, [...chain, name]);
+    }
+    const missing = definition.requires.filter(lib => typeof window[lib] === 'undefined');
+    if (missing.length) return skip(`${missing.join(', ')} not loaded`);
+
+    const modules = {};
+    [...definition.deps, ...definition.optional].forEach(dep => {
+      if (this.status[dep] === 'ready') modules[dep] = this.modules[dep];
+    });
+
+    try {
+      const random = this.app?.random?.fork(name) || new Random().fork(name);
+      this.modules[name] = await definition.init({ app: this.app, bus: this.bus, modules, random });
+      this.status[name] = 'ready';
+      this.order.push(name);
+      this.bus.emit('module:ready', { name, instance: this.modules[name] });
+      return true;
+    } catch (error) {
+      this.status[name] = 'failed';
+      this.errors[name] = error.message;
+      console.error(`Module "${name}" failed to start:`, error);
+      return false;
+    }
+  }
+
+  // Resolves to { name: message } for modules whose cleanup threw
+  async destroy() {
+    const failures = {};
+    for (const name of [...this.order].reverse()) {
+      const instance = this.modules[name];
+      try {
+        const { destroy } = this.definitions.get(name);
+        if (destroy) {
+          await destroy(instance);
+        } else {
+          instance?.cleanup?.();
+        }
+      } catch (error) {
+        failures[name] = error.message;
+        console.error(`Module "${name}" failed to clean up:`, error);
+      }
+      delete this.modules[name];
+      this.status[name] = 'pending';
+    }
+    this.order = [];
+    this.starting.clear();
+    this.started = false;
+    this.bus.clear();
+    return failures;
+  }
+}
+
+// ===== MAIN APPLICATION =====
+// Content renders first (charts, reveals and hover sounds query it), then the
+// CDN libraries are awaited once and each library module checks its own global.
+const MICROSITE_MODULES = [
+  { name: 'offline', init: () => new OfflineManager().init() },
+  { name: 'motion', init: () => new MotionPolicy().init() },
+  { name: 'theme', init: () => new ThemeManager().init() },
+  {
+    name: 'content',
+    init: async () => {
+      const content = new ContentRenderer();
+      await content.init();
+      return content;
+    }
+  },
+  {
+    name: 'tiktok',
+    deps: ['content'],
+    optional: ['motion'],
+    init: ({ modules }) => initTikTokCards(document, modules.motion)
+  },
+  {
+    name: 'filter',
+    deps: ['content'],
+    init: ({ bus }) => {
+      const filter = new PressFilter(undefined, bus);
+      filter.init();
+      return filter;
+    }
+  },
+  {
+    // A library that never arrives only takes down the modules that require it
+    name: 'libraries',
+    init: ({ app }) => app.dependencies.waitForDependencies().catch(error => {
+      console.error('Continuing without some libraries:', error);
+    })
+  },
+  {
+    name: 'three',
+    deps: ['libraries'],
+    optional: ['motion', 'theme'],
+    requires: ['THREE'],
+    init: ({ modules, random }) => {
+      const three = new ThreeBackground(modules.motion, random);
+      three.init();
+      if (modules.theme) three.attachTheme(modules.theme);
+      return three;
+    }
+  },
+  {
+    // Particles re-form around the story on screen, from the charts' data
+    name: 'formations',
+    deps: ['three', 'anim', 'charts'],
+    init: ({ modules }) => modules.three.attachStory(modules.anim, modules.charts)
+  },
+  {
+    name: 'anim',
+    deps: ['libraries', 'content'],
+    optional: ['motion'],
+    requires: ['gsap', 'ScrollTrigger'],
+    init: ({ modules, bus }) => {
+      const anim = new AnimationController(modules.motion, bus);
+      anim.init();
+      return anim;
+    }
+  },
+  {
+    name: 'charts',
+    deps: ['libraries', 'content'],
+    optional: ['theme'],
+    requires: ['Plotly'],
+    init: async ({ modules }) => {
+      const charts = new ChartManager();
+      await charts.init();
+      if (modules.theme) charts.attachTheme(modules.theme);
+      return charts;
+    }
+  },
+  {
+    name: 'export',
+    deps: ['charts'],
+    init: ({ modules }) => {
+      const exporter = new ChartExporter(modules.charts);
+      exporter.init();
+      return exporter;
+    }
+  },
+  {
+    name: 'audio',
+    deps: ['libraries'],
+    optional: ['charts', 'anim'],
+    requires: ['Tone'],
+    init: ({ modules }) => {
+      const audio = new AudioEngine();
+      if (modules.charts) audio.attachCharts(modules.charts);
+      if (modules.anim) audio.attachScenes(modules.anim);
+      return audio;
+    }
+  },
+  {
+    name: 'cursor',
+    deps: ['audio'],
+    optional: ['motion'],
+    init: ({ modules }) => {
+      const cursor = new CursorManager(modules.audio, modules.motion);
+      cursor.init();
+      return cursor;
+    }
+  },
+  {
+    name: 'ui',
+    deps: ['audio'],
+    optional: ['motion', 'theme'],
+    init: ({ modules }) => {
+      const ui = new UIController(modules.audio, modules.motion, modules.theme);
+      ui.init();
+      return ui;
+    }
+  },
+  {
+    name: 'a11y',
+    deps: ['charts'],
+    optional: ['audio'],
+    init: ({ modules }) => {
+      const a11y = new ChartAccessibility(modules.charts, modules.audio);
+      a11y.init();
+      return a11y;
+    }
+  }
+];
+
+class MicrositeApp {
+  constructor() {
+    // keep constructor light so no ReferenceErrors block init()
+    this.loaderEl = document.getElementById('loader');
+    this.registry = new ModuleRegistry(this);
+    this.bus = this.registry.bus;
+    this.modules = this.registry.modules;
+    this.loader = null;
+    this.dependencies = new DependencyManager(Object.keys(LIBRARIES));
+    this.random = new Random();
+    document.documentElement.dataset.seed = this.random.seed;
+  }
+
+  async init() {
+    try {
+      // start loader (fallback if LoaderManager missing)
+      if (typeof LoaderManager !== 'undefined') {
+        this.loader = new LoaderManager();
+        this.loader.start();
+        this.trackMilestones();
+      } else {
+        this.loaderEl?.classList.remove('hidden'); // ensure visible
+      }
+
+      MICROSITE_MODULES.forEach(definition => this.use(definition));
+      const queued = Array.isArray(window.boredModules) ? window.boredModules : [];
+      window.boredModules = { push: (...definitions) => definitions.forEach(d => this.use(d)) };
+      queued.forEach(definition => this.use(definition));
+
+      await this.registry.initAll();
+
+      // done
+      this.complete();
+    } catch (err) {
+      console.error('Failed to initialize app:', err);
+      this.complete(); // still hide loader
+    }
+  }
+
+  trackMilestones() {
+    const { loader, dependencies } = this;
+    dependencies.required.forEach(lib => {
+      loader.track(lib, LIBRARIES[lib].label, dependencies.waitFor(lib), LIBRARIES[lib].feature);
+    });
+    if (document.fonts) loader.track('fonts', 'fonts', document.fonts.ready);
+    loader.track('data', 'chart data', this.chartMilestone('data'), 'Interactive charts');
+    loader.track('render', 'charts', this.chartMilestone('render'), 'Interactive charts');
+
+    // Images exist once the content module has rendered the cards
+    const offContent = this.bus.on('module:ready', ({ name }) => {
+      if (name !== 'content') return;
+      offContent();
+      loader.track('images', 'images', LoaderManager.firstScreenImages());
+    });
+  }
+
+  // ChartManager reports its first data load and render through chart:interaction;
+  // a chart error, or the charts module not starting at all, fails the milestone
+  chartMilestone(action) {
+    return new Promise((resolve, reject) => {
+      const onChart = (event) => {
+        const { action: seen, message } = event.detail;
+        if (seen === action) finish(resolve);
+        if (seen === 'error') finish(() => reject(new Error(message)));
+      };
+      const offReady = this.bus.on('app:ready', ({ status }) => {
+        if (status.charts !== 'ready') finish(() => reject(new Error('Charts did not start')));
+      });
+      const finish = (settle) => {
+        document.removeEventListener('chart:interaction', onChart);
+        offReady();
+        settle();
+      };
+      document.addEventListener('chart:interaction', onChart);
+    });
+  }
+
+  // index.html?selftest=<module> (diagnostic.html): starts one module and its hard
+  // dependencies, tears them down again and reports both steps to the parent frame
+  async selfTest(name) {
+    this.complete();
+    const definitions = new Map(MICROSITE_MODULES.map(d => [d.name, d]));
+    const needed = new Set();
+    const add = (key) => {
+      if (needed.has(key) || !definitions.has(key)) return;
+      needed.add(key);
+      (definitions.get(key).deps || []).forEach(add);
+    };
+    add(name);
+    MICROSITE_MODULES.filter(d => needed.has(d.name)).forEach(d => this.use(d));
+
+    const started = performance.now();
+    await this.registry.initAll();
+    const ms = Math.round(performance.now() - started);
+    const { status, errors } = this.registry;
+    const result = {
+      module: name,
+      status: status[name] || 'unknown',
+      error: definitions.has(name) ? errors[name] || null : 'No such module',
+      deps: [...needed].filter(key => key !== name).map(key => ({ name: key, status: status[key] })),
+      ms
+    };
+    const failures = await this.registry.destroy();
+    result.cleanupError = failures[name] || null;
+
+    window.parent.postMessage({ type: 'bored:selftest', ...result }, window.location.origin);
+  }
+
+  use(definition) {
+    try {
+      this.registry.register(definition);
+    } catch (error) {
+      console.error('Module registration failed:', error);
+    }
+  }
+
+  complete() {
+    if (this.loader && typeof this.loader.complete === 'function') {
+      this.loader.complete();
+    } else {
+      this.loaderEl?.classList.add('hidden');
+    }
+  }
+
+  cleanup() {
+    return this.registry.destroy();
+  }
+}
+
+// ===== EMBED APP =====
+// embed.html?chart=intimacy boots only ChartManager (no loader, audio, cursor or
+// Three.js). Messages posted to the host page:
+//   { type: 'bored:ready', chart, height }        chart rendered
+//   { type: 'bored:resize', chart, height }       content height changed
+//   { type: 'bored:interaction', chart, action }  render, hover, click, zoom, toggle, scale
+class EmbedApp {
+  constructor(root = document.getElementById('embed')) {
+    this.root = root;
+    this.chartKey = new URLSearchParams(window.location.search).get('chart');
+    this.theme = new ThemeManager().init();
+    this.charts = null;
+    this.height = 0;
+  }
 
-// As a last-resort safety, never leave the loader up on hard errors.
-window.addEventListener('error', () => {
-  document.getElementById('loader')?.classList.add('hidden');
-});
+  async init() {
+    try {
+      const url = this.root.dataset.manifest;
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+      const manifest = ContentRenderer.validate(await res.json());
+
+      const block = manifest.blocks.find(b => b.type === 'story' && b.id === this.chartKey);
+      if (!block) throw new Error(`Unknown chart "${this.chartKey}"`);
+      this.root.innerHTML = EmbedApp.render(block);
+      document.title = `${block.title} · I WUZ JUST BORED`;
+
+      this.root.addEventListener('chart:interaction', (event) => {
+        this.post('interaction', event.detail);
+      });
+
+      await new DependencyManager(['Plotly']).waitForDependencies();
+      this.charts = new ChartManager({ pushHistory: false, fitContainer: true });
+      await this.charts.init();
+      this.charts.attachTheme(this.theme);
+      new ChartAccessibility(this.charts).init();
+    } catch (error) {
+      console.error('Embed failed to start:', error);
+      this.root.innerHTML = `<div class="chart-error" role="alert"><strong>This chart is unavailable</strong><p>${ContentRenderer.escape(error.message)}</p></div>`;
+    }
+
+    this.observeSize();
+    this.post('ready', { height: this.height });
+  }
+
+  // Target origin is '*': the host is unknown and nothing sensitive is sent
+  post(type, detail = {}) {
+    if (window.parent === window) return;
+    window.parent.postMessage({ type: `bored:${type}`, chart: this.chartKey, ...detail }, '*');
+  }
+
+  // Measure the content, not the viewport, so a resized iframe can also shrink
+  observeSize() {
+    const measure = () => {
+      const height = Math.ceil(this.root.getBoundingClientRect().height);
+      if (height === this.height) return;
+      this.height = height;
+      this.post('resize', { height });
+    };
+    measure();
+    if (window.ResizeObserver) new ResizeObserver(measure).observe(this.root);
+  }
+
+  static render(block) {
+    const e = ContentRenderer.escape;
+    const notes = document.createElement('div');
+    notes.innerHTML = `<div class="story-notes">${block.notes || ''}</div>`;
+    const source = block.notes ? ChartExporter.sourceLine(notes) : '';
+    const home = new URL('./', window.location.href).href;
+
+    return `<article class="story-card story-card--embed" data-story="${e(block.id)}">
+  <div class="story-header">
+    <h1 class="story-title">${e(block.title)}</h1>
+    ${block.subtitle ? `<div class="story-subtitle">${e(block.subtitle)}</div>` : ''}
+  </div>
+  ${block.toggles ? `<div class="metric-toggles" id="${e(block.toggles)}" role="group" aria-label="Toggle data series"></div>` : ''}
+  <div id="${e(block.chart)}" class="story-chart"></div>
+  <p class="embed-credit">${source ? `${e(source)} · ` : ''}<a href="${e(home)}" target="_blank" rel="noopener">I WUZ JUST BORED</a></p>
+</article>`;
+  }
+}
+
+// ===== DIAGNOSTICS =====
+// diagnostic.html: boots every MicrositeApp module on its own in a hidden
+// index.html?selftest=<name> frame, then checks browser support, the CDN libraries
+// and their vendor/ copies, chart data, precached and snippet assets, and the press
+// links. The whole report downloads as JSON to attach to bug reports.
+const DIAGNOSTIC_SNIPPETS = ['_snippets/hero-picture.html', '_snippets/grit-css.html', '_snippets/newspaper-css.html'];
+const DIAGNOSTIC_TIMEOUT = 8000;
+const DIAGNOSTIC_MODULE_TIMEOUT = 30000; // a module frame may wait out the library timeouts
+
+class DiagnosticsApp {
+  constructor() {
+    this.root = document.getElementById('diagnostics');
+    this.summary = document.getElementById('diagnostic-summary');
+    this.report = {
+      generated: null,
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      sections: {},
+      console: []
+    };
+  }
+
+  async init() {
+    this.captureConsole();
+    document.getElementById('diagnostic-export')?.addEventListener('click', () => this.export());
+
+    const sections = [
+      ['support', 'Browser support', (add) => this.checkSupport(add)],
+      ['libraries', 'CDN libraries', (add) => this.checkLibraries(add)],
+      ['data', 'Chart data and content', (add) => this.checkData(add)],
+      ['assets', 'Assets', (add) => this.checkAssets(add)],
+      ['modules', 'Modules (each booted in isolation)', (add) => this.checkModules(add)],
+      ['links', 'Press links', (add) => this.checkLinks(add)]
+    ];
+    for (const [key, title, run] of sections) {
+      const results = [];
+      this.report.sections[key] = { title, results };
+      const list = this.renderSection(title);
+      const add = (result) => {
+        results.push(result);
+        list.appendChild(DiagnosticsApp.renderResult(result));
+        this.renderSummary();
+      };
+      try {
+        await run(add);
+      } catch (error) {
+        add({ name: title, status: 'fail', detail: error.message });
+      }
+    }
+
+    this.report.generated = new Date().toISOString();
+    this.renderSummary(true);
+  }
+
+  // Errors logged by the checks (and app.js) go into the report as well
+  captureConsole() {
+    const original = console.error;
+    console.error = (...args) => {
+      this.report.console.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+      original.apply(console, args);
+    };
+  }
+
+  checkSupport(add) {
+    const canvas = document.createElement('canvas');
+    const webgl = canvas.getContext('webgl2') ? 'WebGL 2' : canvas.getContext('webgl') ? 'WebGL 1' : null;
+    add(webgl
+      ? { name: 'WebGL', status: 'pass', detail: webgl }
+      : { name: 'WebGL', status: 'fail', detail: 'Unavailable: the particle background stays off' });
+
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (Context) {
+      const context = new Context();
+      add({ name: 'AudioContext', status: 'pass', detail: `${context.sampleRate} Hz, ${context.state} until a gesture` });
+      context.close();
+    } else {
+      add({ name: 'AudioContext', status: 'fail', detail: 'Unavailable: music and sonification stay off' });
+    }
+
+    const features = {
+      IntersectionObserver: 'IntersectionObserver' in window,
+      ResizeObserver: 'ResizeObserver' in window,
+      'Service worker': 'serviceWorker' in navigator && window.isSecureContext
+    };
+    Object.entries(features).forEach(([name, supported]) => {
+      add({ name, status: supported ? 'pass' : 'warn', detail: supported ? 'Supported' : 'Unsupported' });
+    });
+
+    let storage = false;
+    try {
+      localStorage.setItem('bored:diagnostic', '1');
+      localStorage.removeItem('bored:diagnostic');
+      storage = true;
+    } catch {
+      storage = false;
+    }
+    add({ name: 'localStorage', status: storage ? 'pass' : 'warn', detail: storage ? 'Writable' : 'Blocked: settings last one visit' });
+
+    const reduced = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    add({ name: 'Reduced motion', status: 'pass', detail: reduced ? 'Requested by the system' : 'Not requested' });
+  }
+
+  async checkLibraries(add) {
+    const page = new DOMParser().parseFromString(await DiagnosticsApp.text('index.html'), 'text/html');
+    const scripts = Array.from(page.querySelectorAll('script[data-lib]'));
+    for (const script of scripts) {
+      const { lib, fallback } = script.dataset;
+      const cdn = await DiagnosticsApp.probe(script.src, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' });
+      add({
+        name: `${lib} CDN`,
+        status: cdn.ok ? 'pass' : 'fail',
+        detail: cdn.ok ? script.src : `${script.src}: ${cdn.error}`,
+        ms: cdn.ms
+      });
+
+      if (!fallback) continue;
+      const local = await DiagnosticsApp.probe(fallback, { method: 'HEAD', cache: 'no-store' });
+      add({
+        name: `${lib} vendor copy`,
+        status: local.ok ? 'pass' : 'warn',
+        detail: local.ok ? fallback : `${fallback} missing: no offline fallback (node vendor.mjs)`,
+        ms: local.ms
+      });
+    }
+  }
+
+  async checkData(add) {
+    const loader = new DataLoader();
+    const manifest = await loader.loadManifest();
+    for (const [chart, files] of Object.entries(manifest.charts)) {
+      const loaded = [];
+      for (const file of files) {
+        const started = performance.now();
+        try {
+          const series = await loader.loadSeries(file);
+          loaded.push(series);
+          add({ name: file, status: 'pass', detail: `${series.name}: ${series.x.length} points`, ms: DiagnosticsApp.since(started) });
+        } catch (error) {
+          add({ name: file, status: 'fail', detail: error.message, ms: DiagnosticsApp.since(started) });
+        }
+      }
+      if (chart === 'anxiety' && loaded.length === files.length) {
+        try {
+          const index = AnxietyIndex.build(loaded);
+          add({ name: 'Anxiety index', status: 'pass', detail: `${index.periods.length} quarters, ${index.periods[0]} to ${index.periods[index.periods.length - 1]}` });
+        } catch (error) {
+          add({ name: 'Anxiety index', status: 'fail', detail: error.message });
+        }
+      }
+    }
+
+    try {
+      const content = ContentRenderer.validate(JSON.parse(await DiagnosticsApp.text('content/manifest.json')));
+      add({ name: 'content/manifest.json', status: 'pass', detail: `${content.blocks.length} blocks` });
+      this.content = content;
+    } catch (error) {
+      add({ name: 'content/manifest.json', status: 'fail', detail: error.message });
+    }
+  }
+
+  // Precache lists come from the build block in sw.js; snippet and content images are parsed
+  async checkAssets(add) {
+    const sw = await DiagnosticsApp.text('sw.js');
+    const list = (name) => {
+      const match = sw.match(new RegExp(`const ${name} = (\\[[\\s\\S]*?\\]);`));
+      return match ? JSON.parse(match[1].replace(/'/g, '"')) : [];
+    };
+    const files = [...list('SHELL'), ...list('ASSETS')].filter(file => file !== './');
+
+    const refs = new Map(); // url → where it is referenced
+    files.forEach(file => refs.set(file, 'sw.js precache'));
+    for (const snippet of DIAGNOSTIC_SNIPPETS) {
+      let html;
+      try {
+        html = await DiagnosticsApp.text(snippet);
+      } catch (error) {
+        add({ name: snippet, status: 'fail', detail: error.message });
+        continue;
+      }
+      DiagnosticsApp.references(html).forEach(ref => refs.set(ref, snippet));
+    }
+    (this.content?.blocks || []).forEach(block => {
+      if (block.src) refs.set(block.src, 'content/manifest.json');
+      (block.cards || []).forEach(card => {
+        if (card.poster) refs.set(card.poster, 'content/manifest.json');
+      });
+    });
+
+    await DiagnosticsApp.pool([...refs], 4, async ([url, from]) => {
+      const result = await DiagnosticsApp.probe(url, { method: 'HEAD', cache: 'no-store' });
+      const size = result.size ? `, ${Math.round(result.size / 1024)} KB` : '';
+      add({
+        name: url,
+        status: result.ok ? 'pass' : 'fail',
+        detail: result.ok ? `${from}${size}` : `${from}: ${result.error}`,
+        ms: result.ms
+      });
+    });
+  }
+
+  async checkModules(add) {
+    for (const { name } of MICROSITE_MODULES) {
+      const started = performance.now();
+      const result = await DiagnosticsApp.selfTest(name);
+      const deps = result.deps?.map(dep => `${dep.name} ${dep.status}`).join(', ');
+      let status = result.status === 'ready' ? 'pass' : 'fail';
+      if (status === 'pass' && result.cleanupError) status = 'warn';
+
+      const detail = [
+        result.error || (result.status === 'ready' ? 'Started and cleaned up' : result.status),
+        result.cleanupError && `cleanup failed: ${result.cleanupError}`,
+        deps && `deps: ${deps}`
+      ].filter(Boolean).join('; ');
+      add({ name, status, detail, ms: result.ms ?? DiagnosticsApp.since(started) });
+    }
+  }
+
+  // Cross-origin pages answer opaquely, so only "reachable" vs "unreachable" is knowable
+  async checkLinks(add) {
+    const cards = (this.content?.blocks || [])
+      .filter(block => block.type === 'press-feed')
+      .flatMap(block => block.cards);
+    await DiagnosticsApp.pool(cards, 4, async (card) => {
+      const result = await DiagnosticsApp.probe(card.url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' });
+      add({
+        name: card.headline,
+        status: result.ok ? 'pass' : result.timedOut ? 'warn' : 'fail',
+        detail: result.ok ? card.url : `${card.url}: ${result.error}`,
+        ms: result.ms
+      });
+    });
+  }
+
+  export() {
+    const report = { ...this.report, generated: this.report.generated || new Date().toISOString() };
+    const stamp = report.generated.slice(0, 19).replace(/[:T]/g, '-');
+    ChartExporter.download(JSON.stringify(report, null, 2), `bored-diagnostic-${stamp}.json`, 'application/json');
+  }
+
+  renderSection(title) {
+    const section = document.createElement('section');
+    section.className = 'status';
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    const list = document.createElement('ul');
+    list.className = 'checks';
+    section.append(heading, list);
+    this.root.appendChild(section);
+    return list;
+  }
+
+  renderSummary(done = false) {
+    if (!this.summary) return;
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    Object.values(this.report.sections).forEach(({ results }) => {
+      results.forEach(({ status }) => { counts[status]++; });
+    });
+    const totals = `${counts.pass} passed, ${counts.warn} warnings, ${counts.fail} failed`;
+    this.summary.textContent = done ? `Done: ${totals}` : `Running… ${totals}`;
+    this.summary.className = `status ${counts.fail ? 'error' : done ? 'success' : ''}`.trim();
+  }
+
+  static renderResult({ name, status, detail, ms }) {
+    const item = document.createElement('li');
+    item.className = `check check--${status}`;
+    const cells = [
+      ['check-status', status.toUpperCase()],
+      ['check-name', name],
+      ['check-detail', detail || ''],
+      ['check-ms', ms !== undefined ? `${ms} ms` : '']
+    ];
+    cells.forEach(([className, text]) => {
+      const cell = document.createElement('span');
+      cell.className = className;
+      cell.textContent = text;
+      item.appendChild(cell);
+    });
+    return item;
+  }
+
+  // Boots index.html?selftest=<name> in a hidden frame and waits for its report
+  static selfTest(name) {
+    return new Promise(resolve => {
+      const frame = document.createElement('iframe');
+      frame.className = 'selftest-frame';
+      frame.setAttribute('aria-hidden', 'true');
+      frame.tabIndex = -1;
+      frame.src = `index.html?selftest=${encodeURIComponent(name)}`;
+
+      const finish = (result) => {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        frame.remove();
+        resolve(result);
+      };
+      const onMessage = (event) => {
+        if (event.source !== frame.contentWindow || event.data?.type !== 'bored:selftest') return;
+        finish(event.data);
+      };
+      const timer = setTimeout(() => {
+        finish({ module: name, status: 'failed', error: `No report within ${DIAGNOSTIC_MODULE_TIMEOUT / 1000}s` });
+      }, DIAGNOSTIC_MODULE_TIMEOUT);
+
+      window.addEventListener('message', onMessage);
+      document.body.appendChild(frame);
+    });
+  }
+
+  // Every url("…"), src and srcset entry in a snippet
+  static references(html) {
+    const refs = new Set();
+    for (const [, url] of html.matchAll(/url\(["']?([^"')]+)["']?\)/g)) refs.add(url);
+    for (const [, url] of html.matchAll(/\ssrc="([^"]+)"/g)) refs.add(url);
+    for (const [, set] of html.matchAll(/\ssrcset="([^"]+)"/g)) {
+      set.split(',').forEach(entry => refs.add(entry.trim().split(/\s+/)[0]));
+    }
+    return [...refs];
+  }
+
+  static async text(url) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+    return res.text();
+  }
+
+  // { ok, status, size, ms, error, timedOut }; opaque (no-cors) responses count as reachable
+  static async probe(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DIAGNOSTIC_TIMEOUT);
+    const started = performance.now();
+    try {
+      const res = await fetch(url, { ...options, signal: controller.signal });
+      const ok = res.ok || res.type === 'opaque';
+      return {
+        ok,
+        status: res.status,
+        size: Number(res.headers.get('content-length')) || null,
+        ms: DiagnosticsApp.since(started),
+        error: ok ? null : `HTTP ${res.status}`
+      };
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      return {
+        ok: false,
+        ms: DiagnosticsApp.since(started),
+        timedOut,
+        error: timedOut ? `no answer within ${DIAGNOSTIC_TIMEOUT / 1000}s` : 'unreachable (network error or blocked)'
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static since(started) {
+    return Math.round(performance.now() - started);
+  }
+
+  // Runs task over items with at most `size` in flight
+  static async pool(items, size, task) {
+    const queue = [...items];
+    const workers = Array.from({ length: Math.min(size, queue.length) }, async () => {
+      while (queue.length) await task(queue.shift());
+    });
+    await Promise.all(workers);
+  }
+}
+
+// ===== BOOTSTRAP =====
+// build.mjs loads this file in Node for the shared renderers, so only boot in a browser
+if (typeof document !== 'undefined') {
+  // <html data-app> picks the app: "embed" (embed.html) boots the chart-only app,
+  // "diagnostic" (diagnostic.html) the self-test dashboard
+  const apps = { embed: EmbedApp, diagnostic: DiagnosticsApp };
+  const App = apps[document.documentElement.dataset.app] || MicrositeApp;
+  const selfTest = App === MicrositeApp && new URLSearchParams(window.location.search).get('selftest');
+  const boot = () => {
+    window.app = new App();
+    if (selfTest) {
+      window.app.selfTest(selfTest);
+    } else {
+      window.app.init();
+    }
+  };
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', boot);
+  } else {
+    boot();
+  }
+
+  // As a last-resort safety, never leave the loader up on hard errors.
+  window.addEventListener('error', () => {
+    document.getElementById('loader')?.classList.add('hidden');
+  });
+}
+
+// ===== NODE EXPORTS =====
+// Undefined in the browser (app.js is a module script there)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DataLoader, AnxietyIndex, ContentRenderer, Sonification, Random, ChartManager,
+    INDEX_MODES, CHART_BREAKPOINTS, CHART_TIERS, CHART_LAYOUTS, CHART_RESIZE_DELAY
+  };
+}
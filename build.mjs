@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+// Static build: pre-renders cards, story text and SVG chart fallbacks into index.html.
+// The runtime ContentRenderer keeps this markup while the manifest is unchanged and
+// ChartManager swaps each SVG for the interactive Plotly chart once libraries load.
+// Rewrites <picture data-image> and image-set() from the exported image variants, and
+// fails on any image the pages or _snippets reference that isn't on disk.
+// Also stamps sw.js with the precache list and a cache version hashed from those files.
+//
+//   node build.mjs           rewrite index.html, styles.css and sw.js in place
+//   node build.mjs --check   exit 1 if any is out of date (for CI)
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// The tests import the image rewrites and run them against test/fixtures/images
+export { rewritePictures, rewriteImageSets };
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const { DataLoader, AnxietyIndex, ContentRenderer, CHART_BREAKPOINTS } = require('./app.js');
+const { FORMATS, readConfig, plan } = await import('./generate_assets.mjs');
+
+const START = '<!-- build:content -->';
+const END = '<!-- /build:content -->';
+const SW_START = '// build:precache';
+const SW_END = '// /build:precache';
+
+// ---------- pretty logging (same voice as generate_assets.mjs) ----------
+const b = (msg) => console.log(`\x1b[1m${msg}\x1b[0m`);
+const ok = (msg) => console.log(`✅ ${msg}`);
+const warn = (msg) => console.log(`⚠️  ${msg}`);
+const err = (msg) => console.error(`❌ ${msg}`);
+
+// ---------- static SVG charts ----------
+const W = 960;
+const M = { l: 70, r: 70, t: 44, b: 36 };
+const FONT = "Space Grotesk, sans-serif";
+const esc = ContentRenderer.escape;
+// Colours are the theme tokens in styles.css (var() only works in style=, not in
+// SVG presentation attributes), so the preview follows the page's theme too
+const token = (name) => `var(--${name})`;
+
+const scale = (d0, d1, r0, r1) => (v) => r0 + ((v - d0) / (d1 - d0)) * (r1 - r0);
+
+const ticks = (min, max, count) => {
+  const step = (max - min) / (count - 1);
+  return Array.from({ length: count }, (_, i) => min + step * i);
+};
+
+// "2021-04" → 2021.25 so dates and years share one numeric x axis
+const toYear = (x) => {
+  if (typeof x === 'number') return x;
+  const { year, month } = AnxietyIndex.parseDate(x);
+  return year + (month - 1) / 12;
+};
+
+const fmt = (v) => {
+  const r = Math.round(v * 10) / 10;
+  return Number.isInteger(r) ? r : r.toFixed(1);
+};
+
+function renderPanel(panel, top, height) {
+  const x = scale(panel.xRange[0], panel.xRange[1], M.l, W - M.r);
+  const yL = scale(panel.left.range[0], panel.left.range[1], top + height, top);
+  const yR = panel.right && scale(panel.right.range[0], panel.right.range[1], top + height, top);
+  const out = [];
+
+  if (panel.title) {
+    out.push(`<text x="${M.l}" y="${top - 12}" font-size="14" font-weight="700" style="fill:${token('chart-ink')}">${esc(panel.title)}</text>`);
+  }
+
+  ticks(panel.left.range[0], panel.left.range[1], panel.left.ticks || 5).forEach(v => {
+    const y = yL(v).toFixed(1);
+    out.push(`<line x1="${M.l}" x2="${W - M.r}" y1="${y}" y2="${y}" style="stroke:${token('chart-grid')}"/>`);
+    out.push(`<text x="${M.l - 8}" y="${y}" dy="4" text-anchor="end" font-size="11" style="fill:${panel.left.color || token('chart-ink')}">${fmt(v)}</text>`);
+  });
+  if (panel.right) {
+    ticks(panel.right.range[0], panel.right.range[1], panel.right.ticks || 5).forEach(v => {
+      out.push(`<text x="${W - M.r + 8}" y="${yR(v).toFixed(1)}" dy="4" font-size="11" style="fill:${panel.right.color}">${fmt(v)}</text>`);
+    });
+  }
+
+  const base = top + height;
+  out.push(`<line x1="${M.l}" x2="${W - M.r}" y1="${base}" y2="${base}" style="stroke:${token('chart-axis')}"/>`);
+  for (let t = Math.ceil(panel.xRange[0] / panel.dtick) * panel.dtick; t <= panel.xRange[1]; t += panel.dtick) {
+    out.push(`<text x="${x(t).toFixed(1)}" y="${base + 18}" text-anchor="middle" font-size="11" style="fill:${token('chart-ink')}">${t}</text>`);
+  }
+
+  panel.series.forEach(s => {
+    const y = s.axis === 'right' ? yR : yL;
+    const pts = s.x.map((xv, i) => [x(toYear(xv)), s.y[i]])
+      .filter(([, yv]) => yv !== null && yv !== undefined)
+      .map(([px, yv]) => [px.toFixed(1), y(yv).toFixed(1)]);
+    if (!pts.length) return;
+
+    const d = pts.map(([px, py], i) => `${i ? 'L' : 'M'}${px} ${py}`).join(' ');
+    if (s.fill) {
+      out.push(`<path d="${d} L${pts[pts.length - 1][0]} ${base} L${pts[0][0]} ${base} Z" style="fill:${s.fill}"/>`);
+    }
+    const dash = s.dash ? ' stroke-dasharray="2 6" stroke-linecap="round"' : '';
+    out.push(`<path d="${d}" fill="none" style="stroke:${s.color}" stroke-width="${s.width || 3}"${dash}><title>${esc(s.name)}</title></path>`);
+  });
+
+  return out.join('\n');
+}
+
+function renderChart({ id, title, desc, height, panels, legend }) {
+  const gap = 56;
+  const plotHeight = (height - M.t - M.b - gap * (panels.length - 1)) / panels.length;
+  const body = panels.map((p, i) => renderPanel(p, M.t + i * (plotHeight + gap), plotHeight)).join('\n');
+
+  let lx = M.l;
+  const keys = legend.map(item => {
+    const el = `<g transform="translate(${lx},12)"><rect width="18" height="4" y="-2" style="fill:${item.color}"/><text x="24" y="4" font-size="12" style="fill:${token('chart-ink')}">${esc(item.name)}</text></g>`;
+    lx += 40 + item.name.length * 7;
+    return el;
+  }).join('');
+
+  return `<figure class="chart-static"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${height}" role="img" aria-labelledby="${id}-static-title ${id}-static-desc" font-family="${FONT}"><title id="${id}-static-title">${esc(title)}</title><desc id="${id}-static-desc">${esc(desc)}</desc><rect width="${W}" height="${height}" style="fill:${token('chart-bg')}"/>${keys}
+${body}
+</svg><figcaption>Static preview · the interactive chart loads with JavaScript</figcaption></figure>`;
+}
+
+async function buildIntimacyChart(loader) {
+  const s = await loader.loadChart('intimacy', ['sexual-frequency', 'ssri-prescriptions', 'marriage-rate', 'screen-time']);
+  const frame = { xRange: [1999, 2025], dtick: 4 };
+  return renderChart({
+    id: 'intimacy',
+    title: 'The Intimacy Recession',
+    desc: 'Sexual frequency has declined as SSRI prescriptions doubled; marriage rates have remained relatively stable; daily screen time has quadrupled since 2010.',
+    height: 950,
+    legend: [
+      { name: s['sexual-frequency'].name, color: token('c-sexual-frequency') },
+      { name: s['ssri-prescriptions'].name, color: token('c-ssri-prescriptions') }
+    ],
+    panels: [
+      {
+        ...frame,
+        title: 'Sexual frequency has declined as SSRI prescriptions doubled',
+        left: { range: [40, 85], ticks: 4, color: token('c-sexual-frequency') },
+        right: { range: [150, 420], ticks: 4, color: token('c-ssri-prescriptions') },
+        series: [
+          { ...s['sexual-frequency'], color: token('c-sexual-frequency'), width: 4 },
+          { ...s['ssri-prescriptions'], color: token('c-ssri-prescriptions'), width: 4, dash: true, axis: 'right' }
+        ]
+      },
+      {
+        ...frame,
+        title: 'Marriage rates have remained relatively stable',
+        left: { range: [47, 49], ticks: 5 },
+        series: [{ ...s['marriage-rate'], color: token('c-marriage-rate'), width: 4, fill: token('c-marriage-rate-fill') }]
+      },
+      {
+        ...frame,
+        title: 'Daily screen time has quadrupled since 2010',
+        left: { range: [0, 12], ticks: 4 },
+        series: [{ ...s['screen-time'], color: token('c-screen-time'), width: 4, fill: token('c-screen-time-fill') }]
+      }
+    ]
+  });
+}
+
+async function buildAnxietyChart(loader) {
+  const keys = ['tradwife', 'measles', 'unemployment', 'eggs', 'gold', 'beef'];
+  const raw = await loader.loadChart('anxiety', keys);
+  const index = AnxietyIndex.build(keys.map(k => raw[k]));
+  const series = keys.map(k => ({
+    name: raw[k].name,
+    color: token(`c-${k}`),
+    x: index.dates,
+    y: index.series[k].values
+  }));
+
+  return renderChart({
+    id: 'anxiety',
+    title: 'The Analog Anxiety Index',
+    desc: `Six series resampled to quarters and normalized 0–100, ${index.periods[0]} to ${index.periods[index.periods.length - 1]}.`,
+    height: 720,
+    legend: series,
+    panels: [{
+      xRange: [toYear(index.dates[0]), toYear(index.dates[index.dates.length - 1])],
+      dtick: 1,
+      left: { range: [0, 100], ticks: 6 },
+      series
+    }]
+  });
+}
+
+// ---------- responsive images ----------
+// var(--pad) in styles.css is clamp(16px, 4vw, 60px) either side of <main>
+const GUTTER = { px: 16, vw: 4 };
+const IMAGE_EXT = /\.(avif|webp|jpe?g|png|gif|svg|ico)$/i;
+
+const exists = (path) => stat(path).then(() => true, () => false);
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+// Variants on disk per asset id: exports/manifest.json once generate_assets.mjs has
+// run (it knows real heights and skipped widths), the config's plan until then.
+// Tile previews are git-ignored scratch, so a fresh checkout doesn't have them
+async function readImages(config) {
+  const manifest = await readFile(join(ROOT, config.out, 'manifest.json'), 'utf8').then(JSON.parse, () => null);
+  const images = {};
+  for (const asset of config.assets) {
+    const expected = (manifest?.assets[asset.id]?.outputs || plan(config, asset)).filter(o => o.role !== 'preview');
+    const found = await Promise.all(expected.map(o => exists(join(ROOT, o.file))));
+    images[asset.id] = {
+      asset,
+      outputs: expected.filter((o, i) => found[i]),
+      missing: expected.filter((o, i) => !found[i]).map(o => o.file)
+    };
+  }
+  return images;
+}
+
+function imageFor(images, id, where) {
+  const image = images[id];
+  if (!image) throw new Error(`${where}: no asset "${id}" in assets.config.json`);
+  if (image.missing.length) {
+    throw new Error(`${where}: "${id}" is missing ${image.missing.join(', ')} — run: node generate_assets.mjs ${id}`);
+  }
+  return image;
+}
+
+// Rendered width at each layout breakpoint, capped at the element's max width
+function pictureSizes(maxWidth) {
+  const { mobile, tablet } = CHART_BREAKPOINTS;
+  const fluid = `${100 - GUTTER.vw * 2}vw`;
+  return [
+    `(max-width: ${mobile}px) calc(100vw - ${GUTTER.px * 2}px)`,
+    `(max-width: ${tablet}px) ${fluid}`,
+    maxWidth ? `min(${maxWidth}px, ${fluid})` : fluid
+  ].join(', ');
+}
+
+function renderPicture(image, open, img, indent) {
+  const maxWidth = Number(attr(open, 'data-max-width')) || 0;
+  const sizes = pictureSizes(maxWidth);
+  const variants = image.outputs.filter(o => !o.role);
+  const formats = Object.keys(image.asset.formats);
+  const fallback = formats.includes('jpg') ? 'jpg' : formats[formats.length - 1];
+  const srcset = (format) => variants
+    .filter(o => o.format === format)
+    .map(o => `${o.file} ${o.width}w`)
+    .join(', ');
+
+  const candidates = variants.filter(o => o.format === fallback).sort((x, y) => x.width - y.width);
+  const src = candidates.find(o => o.width >= maxWidth) || candidates[candidates.length - 1];
+  const placeholder = image.outputs.find(o => o.role === 'placeholder');
+  const attrs = [
+    `src="${src.file}"`,
+    `srcset="${srcset(fallback)}"`,
+    `sizes="${sizes}"`,
+    src.height && `width="${src.width}" height="${src.height}"`,
+    ...['alt', 'class', 'loading', 'decoding', 'fetchpriority']
+      .filter(name => attr(img, name) !== undefined)
+      .map(name => `${name}="${attr(img, name)}"`),
+    placeholder && `style="background:url('${placeholder.file}') center/cover no-repeat"`
+  ].filter(Boolean);
+
+  return [
+    open,
+    ...formats.filter(f => f !== fallback).map(f => `${indent}  <source type="${FORMATS[f].type}" srcset="${srcset(f)}" sizes="${sizes}">`),
+    `${indent}  <img ${attrs.join(' ')}>`,
+    `${indent}</picture>`
+  ].join('\n');
+}
+
+// <picture data-image="hero" data-max-width="900"><img alt="…"></picture> → sources,
+// srcset and sizes; the img keeps its alt, class and loading hints
+function rewritePictures(html, images, where) {
+  return html.replace(/^([ \t]*)(<picture\b[^>]*\sdata-image="([^"]+)"[^>]*>)([\s\S]*?)<\/picture>/gm, (match, indent, open, id, inner) => {
+    const img = inner.match(/<img\b[^>]*>/)?.[0];
+    if (!img || attr(img, 'alt') === undefined) throw new Error(`${where}: <picture data-image="${id}"> needs an <img alt="…">`);
+    return indent + renderPicture(imageFor(images, id, where), open, img, indent);
+  });
+}
+
+// image-set(url("exports/grit/grit-red.avif") …) → every format at the largest width
+function rewriteImageSets(css, images, where) {
+  const byFile = new Map();
+  for (const [id, image] of Object.entries(images)) {
+    image.outputs.forEach(o => byFile.set(o.file, id));
+    image.missing.forEach(file => byFile.set(file, id));
+  }
+
+  return css.replace(/^(.*?)image-set\(((?:[^()]|\([^()]*\))*)\)/gm, (match, before, body) => {
+    const url = body.match(/url\(\s*["']?([^"')\s]+)/)?.[1];
+    const id = byFile.get(url);
+    if (!id) return match;
+
+    const image = imageFor(images, id, where);
+    const variants = image.outputs.filter(o => !o.role);
+    const top = Math.max(...variants.map(o => o.width));
+    const indent = before.match(/^\s*/)[0];
+    const set = variants
+      .filter(o => o.width === top)
+      .map(o => `${indent}  url("${o.file}") type("${FORMATS[o.format].type}")`)
+      .join(',\n');
+    return `${before}image-set(\n${set}\n${indent})`;
+  });
+}
+
+// Local images named in src/srcset/poster attributes and url() that aren't on disk
+async function findMissingImages(files) {
+  const refs = new Map(); // path → first file that references it
+  for (const [file, text] of Object.entries(files)) {
+    const found = [
+      ...[...text.matchAll(/\s(?:src|poster|data-poster)="([^"]+)"/g)].map(m => m[1]),
+      ...[...text.matchAll(/\ssrcset="([^"]+)"/g)].flatMap(m => m[1].split(',').map(c => c.trim().split(/\s+/)[0])),
+      ...[...text.matchAll(/url\(\s*["']?([^"')\s]+)/g)].map(m => m[1])
+    ];
+    found
+      .filter(ref => IMAGE_EXT.test(ref) && !/^(?:[a-z]+:|\/\/|#)/i.test(ref))
+      .forEach(ref => refs.has(ref) || refs.set(ref, file));
+  }
+
+  const missing = [];
+  for (const [ref, file] of refs) {
+    if (!await exists(join(ROOT, ref.replace(/^\.?\//, '')))) missing.push(`${file}: ${ref}`);
+  }
+  return missing;
+}
+
+// ---------- service worker precache ----------
+// Relative paths of every file under dir; "_"-prefixed files are pipeline scratch
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await readdir(join(ROOT, dir), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+    const path = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path));
+    } else {
+      files.push(path);
+    }
+  }
+  return files.sort();
+}
+
+// Files this build rewrites are hashed as about to be written so the version follows it
+async function renderPrecache(built) {
+  const shell = [
+    './', 'index.html', 'embed.html', 'styles.css', 'app.js', 'favicon.ico',
+    'content/manifest.json', ...await listFiles('data')
+  ];
+  const assets = [...await listFiles('vendor'), ...await listFiles('img'), ...await listFiles('exports')];
+
+  const hash = createHash('sha256');
+  for (const file of [...shell.slice(1), ...assets]) {
+    hash.update(file);
+    hash.update(built[file] ?? await readFile(join(ROOT, file)));
+  }
+
+  const list = (files) => `[\n${files.map(f => `  '${f}'`).join(',\n')}\n]`;
+  return [
+    SW_START,
+    `const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}';`,
+    `const SHELL = ${list(shell)};`,
+    `const ASSETS = ${list(assets)};`,
+    SW_END
+  ].join('\n');
+}
+
+// ---------- main ----------
+async function main() {
+  const check = process.argv.includes('--check');
+
+  b('Static build');
+  const manifestText = await readFile(join(ROOT, 'content/manifest.json'), 'utf8');
+  const manifest = ContentRenderer.validate(JSON.parse(manifestText));
+  ok(`Manifest: ${manifest.blocks.length} blocks`);
+
+  const loader = new DataLoader(join(ROOT, 'data') + '/', (path) => readFile(path, 'utf8'));
+  const charts = {};
+  const builders = {
+    'intimacy-chart': () => buildIntimacyChart(loader),
+    'anxiety-chart': () => buildAnxietyChart(loader)
+  };
+  for (const [id, build] of Object.entries(builders)) {
+    try {
+      charts[id] = await build();
+      ok(`Static chart: #${id}`);
+    } catch (error) {
+      warn(`Skipped static chart #${id}: ${error.message}`);
+    }
+  }
+
+  const indent = (html) => html.split('\n').map(l => (l ? `        ${l}` : l)).join('\n');
+  const rendered = indent(ContentRenderer.render(manifest, { charts }));
+
+  const indexPath = join(ROOT, 'index.html');
+  const html = await readFile(indexPath, 'utf8');
+  const start = html.indexOf(START);
+  const end = html.indexOf(END);
+  if (start < 0 || end < start) {
+    throw new Error(`index.html is missing the ${START} … ${END} markers`);
+  }
+
+  let next = `${html.slice(0, start + START.length)}\n${rendered}\n        ${html.slice(end)}`;
+  next = next.replace(/(<div id="content"[^>]*?)(?: data-build="[^"]*")?>/, `$1 data-build="${ContentRenderer.hash(manifestText)}">`);
+
+  const config = await readConfig();
+  const images = await readImages(config);
+  next = rewriteImageSets(rewritePictures(next, images, 'index.html'), images, 'index.html');
+  const cssPath = join(ROOT, 'styles.css');
+  const css = await readFile(cssPath, 'utf8');
+  const nextCss = rewriteImageSets(css, images, 'styles.css');
+
+  const embed = await readFile(join(ROOT, 'embed.html'), 'utf8');
+  // Snippets are pasted into pages by hand, so their paths have to resolve too
+  const snippets = {};
+  for (const file of await listFiles(config.snippets || '_snippets')) {
+    snippets[file] = await readFile(join(ROOT, file), 'utf8');
+  }
+  const missing = await findMissingImages({ 'index.html': next, 'embed.html': embed, 'styles.css': nextCss, ...snippets });
+  if (missing.length) {
+    missing.forEach(ref => err(`Missing image ${ref}`));
+    throw new Error(`${missing.length} referenced image(s) not found`);
+  }
+  ok('Images: all references resolve');
+
+  const swPath = join(ROOT, 'sw.js');
+  const sw = await readFile(swPath, 'utf8');
+  const swStart = sw.indexOf(SW_START);
+  const swEnd = sw.indexOf(SW_END);
+  if (swStart < 0 || swEnd < swStart) {
+    throw new Error(`sw.js is missing the ${SW_START} … ${SW_END} markers`);
+  }
+  const nextSw = `${sw.slice(0, swStart)}${await renderPrecache({ 'index.html': next, 'styles.css': nextCss })}${sw.slice(swEnd + SW_END.length)}`;
+
+  const outputs = [[indexPath, html, next], [cssPath, css, nextCss], [swPath, sw, nextSw]];
+  if (check) {
+    const stale = outputs.filter(([, current, built]) => current !== built);
+    stale.forEach(([path]) => err(`${path} is out of date — run: node build.mjs`));
+    if (stale.length) process.exit(1);
+    ok('index.html, styles.css and sw.js are up to date');
+    return;
+  }
+
+  for (const [path, current, built] of outputs) {
+    if (current === built) continue;
+    await writeFile(path, built);
+    ok(`Wrote ${path}`);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    err(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+// Image export pipeline: crops, resizes and encodes every source declared in
+// assets.config.json with sharp, writes the paste-in snippets to _snippets/, and
+// records each output (dimensions, bytes) in exports/manifest.json. "noise" assets are
+// procedural feTurbulence SVG tiles and need no source or sharp.
+// Works anywhere Node and sharp install (macOS, Linux, Windows).
+//
+// Incremental: an asset is skipped while the hash of its source file and config
+// entry matches the manifest and all of its outputs are still on disk.
+//
+//   node generate_assets.mjs              build changed assets
+//   node generate_assets.mjs hero news    only these asset ids
+//   node generate_assets.mjs --force      rebuild regardless of hashes
+//   node generate_assets.mjs --snippets   rewrite the snippets only (no image work)
+//
+// Needs sharp: npm install --no-save sharp
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// build.mjs imports readConfig and plan to resolve <picture data-image> references
+export { FORMATS, readConfig, plan };
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const CONFIG = 'assets.config.json';
+const CONFIG_VERSION = 1;
+const PIPELINE_VERSION = 2; // bump when encoding changes so every asset rebuilds
+
+const FORMATS = {
+  avif: { type: 'image/avif', encode: (img, { quality }) => img.avif({ quality, effort: 6 }) },
+  webp: { type: 'image/webp', encode: (img, { quality }) => img.webp({ quality }) },
+  jpg: { type: 'image/jpeg', encode: (img, { quality }) => img.jpeg({ quality, mozjpeg: true }) },
+  png: { type: 'image/png', encode: (img) => img.png({ compressionLevel: 9 }) },
+  svg: { type: 'image/svg+xml' }
+};
+
+// ---------- pretty logging (same voice as build.mjs) ----------
+const b = (msg) => console.log(`\x1b[1m${msg}\x1b[0m`);
+const ok = (msg) => console.log(`✅ ${msg}`);
+const warn = (msg) => console.log(`⚠️  ${msg}`);
+const err = (msg) => console.error(`❌ ${msg}`);
+
+const exists = (path) => stat(path).then(() => true, () => false);
+
+// ---------- config ----------
+function validate(config) {
+  const fail = (msg) => { throw new Error(`${CONFIG}: ${msg}`); };
+  if (config?.version !== CONFIG_VERSION) fail(`unsupported version ${config?.version}`);
+  if (!config.out || !Array.isArray(config.assets)) fail('needs "out" and an "assets" array');
+
+  const ids = new Set();
+  config.assets.forEach((asset, i) => {
+    const where = `assets[${i}]`;
+    const noise = asset.type === 'noise';
+    ['id', 'dir', 'name', ...(noise ? [] : ['source'])].forEach(key => {
+      if (typeof asset[key] !== 'string' || !asset[key]) fail(`${where} is missing "${key}"`);
+    });
+    if (ids.has(asset.id)) fail(`duplicate asset id "${asset.id}"`);
+    ids.add(asset.id);
+
+    if (noise) {
+      if (!Number.isInteger(asset.noise?.size) || typeof asset.noise.baseFrequency !== 'number') {
+        fail(`${where} noise needs an integer "size" and a numeric "baseFrequency"`);
+      }
+      return;
+    }
+    if (!Array.isArray(asset.widths) || !asset.widths.length || !asset.widths.every(w => Number.isInteger(w) && w > 0)) {
+      fail(`${where} needs "widths" as positive integers`);
+    }
+    const formats = Object.keys(asset.formats || {});
+    if (!formats.length) fail(`${where} needs at least one format`);
+    formats.forEach(format => {
+      if (!FORMATS[format]?.encode) fail(`${where} has unknown format "${format}"`);
+      const name = asset.formats[format].name || asset.name;
+      if (asset.widths.length > 1 && !name.includes('{width}')) {
+        fail(`${where} name "${name}" needs {width} for ${asset.widths.length} widths`);
+      }
+    });
+    if (asset.crop?.aspect && !parseAspect(asset.crop.aspect)) fail(`${where} crop aspect must look like "21:9"`);
+  });
+  return config;
+}
+
+function parseAspect(aspect) {
+  const [w, h] = String(aspect).split(':').map(Number);
+  return w > 0 && h > 0 ? w / h : null;
+}
+
+async function readConfig() {
+  return validate(JSON.parse(await readFile(join(ROOT, CONFIG), 'utf8')));
+}
+
+// Files an asset produces, relative to the repo root; deterministic from config alone.
+// height is only known up front for cropped assets. Outputs with a role (placeholder,
+// preview) are not image variants and stay out of srcset and image-set()
+function plan(config, asset) {
+  const dir = `${config.out}/${asset.dir}`;
+  if (asset.type === 'noise') {
+    const { size } = asset.noise;
+    return [{ file: `${dir}/${asset.name}.svg`, format: 'svg', width: size, height: size }];
+  }
+
+  const outputs = [];
+  const aspect = parseAspect(asset.crop?.aspect);
+  const widths = [...asset.widths].sort((x, y) => y - x);
+  for (const width of widths) {
+    const height = aspect ? Math.round(width / aspect) : undefined;
+    for (const [format, options] of Object.entries(asset.formats)) {
+      const name = (options.name || asset.name).replace('{width}', width);
+      outputs.push({ file: `${dir}/${name}.${format}`, format, width, height, options });
+    }
+  }
+  if (asset.placeholder) {
+    const { name, width } = asset.placeholder;
+    outputs.push({ file: `${dir}/${name}.jpg`, format: 'jpg', width, role: 'placeholder' });
+  }
+  if (asset.preview) {
+    // "_" keeps the seam check out of the service worker precache
+    const { tiles = 3, tile = 512 } = asset.preview;
+    const stem = asset.name.replace(/-?\{width\}/, '');
+    const height = aspect ? Math.round(tile / aspect) * tiles : undefined;
+    outputs.push({ file: `${dir}/_${stem}-preview.jpg`, format: 'jpg', width: tile * tiles, height, role: 'preview' });
+  }
+  return outputs;
+}
+
+function assetHash(asset, source = '') {
+  return createHash('sha256')
+    .update(`${PIPELINE_VERSION}\n${JSON.stringify(asset)}\n`)
+    .update(source)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// ---------- image work ----------
+// Seamless tile, one axis at a time: shift by half so the wrap-around edges meet in the
+// middle, then blend the unshifted image back in over a feathered band around that
+// seam. Contrast only softens inside the band, and because the second pass shifts the
+// first pass's output, the band's own ends land on edges that already wrap
+function seamlessAxis(data, { width, height, channels }, band, axis) {
+  const size = axis === 'x' ? width : height;
+  const half = Math.floor(size / 2);
+  const feather = Math.max(1, Math.round((size * band) / 2));
+  const keep = new Float32Array(size); // weight of the unshifted pixel
+  for (let i = 0; i < size; i++) {
+    const t = Math.min(1, Math.abs(i - half + 0.5) / feather);
+    keep[i] = 1 - t * t * (3 - 2 * t);
+  }
+
+  const out = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    const sy = axis === 'y' ? (y + half) % height : y;
+    for (let x = 0; x < width; x++) {
+      const sx = axis === 'x' ? (x + half) % width : x;
+      const w = keep[axis === 'x' ? x : y];
+      const i = (y * width + x) * channels;
+      const j = (sy * width + sx) * channels;
+      for (let c = 0; c < channels; c++) out[i + c] = Math.round(data[j + c] * (1 - w) + data[i + c] * w);
+    }
+  }
+  return out;
+}
+
+function seamless(data, info, { band = 0.25 } = {}) {
+  return seamlessAxis(seamlessAxis(data, info, band, 'x'), info, band, 'y');
+}
+
+// The tile repeated tiles × tiles, to eyeball the seams
+async function tilePreview(sharp, pixels, raw, { tiles = 3, tile = 512 }, path) {
+  const { data, info } = await sharp(pixels, raw).resize({ width: tile }).png().toBuffer({ resolveWithObject: true });
+  const composites = [];
+  for (let row = 0; row < tiles; row++) {
+    for (let col = 0; col < tiles; col++) {
+      composites.push({ input: data, left: col * info.width, top: row * info.height });
+    }
+  }
+  return sharp({ create: { width: info.width * tiles, height: info.height * tiles, channels: 3, background: '#000' } })
+    .composite(composites)
+    .jpeg({ quality: 85 })
+    .toFile(path);
+}
+
+// feTurbulence tile as a standalone SVG; "stitch" makes the noise wrap at the edges
+function renderNoise({ noise }) {
+  const turbulence = [
+    noise.type && `type="${noise.type}"`,
+    `baseFrequency="${noise.baseFrequency}"`,
+    `numOctaves="${noise.numOctaves || 1}"`,
+    noise.seed !== undefined && `seed="${noise.seed}"`,
+    noise.stitch && 'stitchTiles="stitch"'
+  ].filter(Boolean).join(' ');
+  const filter = [
+    `<feTurbulence ${turbulence}/>`,
+    // Keep only the noise's alpha: black specks of varying strength
+    noise.alpha && '<feColorMatrix values="0 0 0 0 0, 0 0 0 0 0, 0 0 0 0 0, 0 0 0 1 0"/>',
+    noise.displace && `<feDisplacementMap in="SourceGraphic" scale="${noise.displace}"/>`
+  ].filter(Boolean).join('');
+  const rect = [
+    'width="100%" height="100%"',
+    noise.fill && `fill="${noise.fill}"`,
+    'filter="url(#noise)"',
+    noise.opacity !== undefined && `opacity="${noise.opacity}"`
+  ].filter(Boolean).join(' ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${noise.size}" height="${noise.size}"><filter id="noise">${filter}</filter><rect ${rect}/></svg>\n`;
+}
+
+async function writeNoise(config, asset) {
+  const [output] = plan(config, asset);
+  const svg = renderNoise(asset);
+  const path = join(ROOT, output.file);
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, svg);
+  const { file, format, width, height } = output;
+  return [{ file, format, width, height, bytes: Buffer.byteLength(svg) }];
+}
+
+// Crops and adjusts once at the largest width; every output is resized from that master
+async function master(sharp, asset, sourcePath) {
+  const meta = await sharp(sourcePath).rotate().metadata();
+  const swapped = (meta.orientation || 1) >= 5;
+  let cropWidth = swapped ? meta.height : meta.width;
+  const cropHeight = swapped ? meta.width : meta.height;
+  const aspect = parseAspect(asset.crop?.aspect);
+  if (aspect && cropWidth / cropHeight > aspect) cropWidth = Math.round(cropHeight * aspect);
+
+  let widths = [...asset.widths];
+  if (!asset.upscale) {
+    const skipped = widths.filter(w => w > cropWidth);
+    if (skipped.length) warn(`${asset.id}: source is ${cropWidth}px wide, skipping ${skipped.join(', ')} (set "upscale": true to enlarge)`);
+    widths = widths.filter(w => w <= cropWidth);
+  }
+  if (!widths.length) throw new Error(`${asset.id}: source is smaller than every requested width`);
+
+  const top = Math.max(...widths);
+  let img = sharp(sourcePath).rotate().resize({
+    width: top,
+    height: aspect ? Math.round(top / aspect) : undefined,
+    fit: 'cover',
+    position: asset.crop?.position || 'centre'
+  });
+
+  const adjust = asset.adjust || {};
+  if (adjust.grayscale) img = img.grayscale();
+  if (adjust.normalize) img = img.normalise();
+  if (adjust.contrast) img = img.linear(adjust.contrast, 128 * (1 - adjust.contrast));
+  if (adjust.blur) img = img.blur(adjust.blur);
+
+  const { data, info } = await img.raw().toBuffer({ resolveWithObject: true });
+  const pixels = adjust.seamless ? seamless(data, info, adjust.seamless === true ? {} : adjust.seamless) : data;
+  return { pixels, info, widths };
+}
+
+async function render(sharp, config, asset, sourcePath) {
+  const { pixels, info, widths } = await master(sharp, asset, sourcePath);
+  const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+  const results = [];
+
+  for (const output of plan(config, asset)) {
+    if (!output.role && !widths.includes(output.width)) continue;
+    const path = join(ROOT, output.file);
+    await mkdir(dirname(path), { recursive: true });
+
+    if (output.role === 'preview') {
+      const written = await tilePreview(sharp, pixels, raw, asset.preview, path);
+      results.push({ file: output.file, format: 'jpg', width: written.width, height: written.height, bytes: written.size, role: 'preview' });
+      continue;
+    }
+
+    let img = sharp(pixels, raw).resize({ width: output.width });
+    if (output.role === 'placeholder') {
+      img = img.blur(asset.placeholder.blur || 8).jpeg({ quality: asset.placeholder.quality || 40 });
+    } else {
+      img = FORMATS[output.format].encode(img, output.options);
+    }
+    const written = await img.toFile(path);
+    results.push({
+      file: output.file,
+      format: output.format,
+      width: written.width,
+      height: written.height,
+      bytes: written.size,
+      ...(output.role ? { role: output.role } : {})
+    });
+  }
+  return results;
+}
+
+// ---------- snippets ----------
+// Snippets list what the manifest entry recorded (widths the source was too small
+// for are skipped), or the config's plan when there is no entry yet
+function pictureSnippet(config, asset, entry) {
+  const { snippet } = asset;
+  const all = entry?.outputs || plan(config, asset);
+  const outputs = all.filter(o => !o.role);
+  const formats = Object.keys(asset.formats);
+  const fallback = formats.includes('jpg') ? 'jpg' : formats[formats.length - 1];
+  const srcset = (format, indent) => outputs
+    .filter(o => o.format === format)
+    .map(o => `${o.file} ${o.width}w`)
+    .join(`,\n${indent}`);
+
+  const img = outputs.find(o => o.format === fallback && o.width === snippet.fallbackWidth)
+    || outputs.filter(o => o.format === fallback).pop();
+  const size = entry?.outputs.find(o => o.file === img.file);
+  const placeholder = all.find(o => o.role === 'placeholder');
+  const style = [
+    placeholder && `background:url('${placeholder.file}') center/cover no-repeat;`,
+    'display:block; width:100%;',
+    asset.crop?.aspect && `aspect-ratio:${asset.crop.aspect.replace(':', '/')};`
+  ].filter(Boolean).join(' ');
+
+  const sources = formats.filter(f => f !== fallback).map(format => `  <source type="${FORMATS[format].type}"
+          srcset="${srcset(format, '                  ')}"
+          sizes="${snippet.sizes}">`);
+
+  return `<!-- ${snippet.comment} -->
+<picture>
+${sources.join('\n')}
+  <img src="${img.file}"
+       srcset="${srcset(fallback, '               ')}"
+       sizes="${snippet.sizes}"${size ? `\n       width="${size.width}" height="${size.height}"` : ''}
+       alt="${snippet.alt}"
+       style="${style}">
+</picture>
+`;
+}
+
+function backgroundSnippet(config, asset, entry) {
+  const { snippet } = asset;
+  const variants = (entry?.outputs || plan(config, asset)).filter(o => !o.role);
+  const top = Math.max(...variants.map(o => o.width));
+  const outputs = variants.filter(o => o.width === top);
+  const set = outputs
+    .map(o => `    url("${o.file}") type("${FORMATS[o.format].type}")`)
+    .join(',\n');
+  const css = (snippet.css || []).map(line => `  ${line}`).join('\n');
+
+  return `<!-- ${snippet.comment} -->
+<style>
+${snippet.before ? `${snippet.before}\n` : ''}${snippet.selector} {
+  background-image: image-set(
+${set}
+  );
+${css}
+}
+</style>
+${snippet.usage ? `<!-- Usage: ${snippet.usage} -->\n` : ''}`;
+}
+
+async function writeSnippet(config, asset, entry) {
+  if (!asset.snippet) return;
+  const html = asset.snippet.type === 'picture'
+    ? pictureSnippet(config, asset, entry)
+    : backgroundSnippet(config, asset, entry);
+  const path = join(ROOT, config.snippets || '_snippets', asset.snippet.file);
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, html);
+  ok(`Snippet: ${config.snippets || '_snippets'}/${asset.snippet.file}`);
+}
+
+// ---------- main ----------
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    throw new Error("Missing 'sharp'. Install it with: npm install --no-save sharp");
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const snippetsOnly = args.includes('--snippets');
+  const only = args.filter(arg => !arg.startsWith('--'));
+
+  b('Image pipeline');
+  const config = await readConfig();
+  const unknown = only.filter(id => !config.assets.some(asset => asset.id === id));
+  if (unknown.length) throw new Error(`Unknown asset id: ${unknown.join(', ')}`);
+  const assets = config.assets.filter(asset => !only.length || only.includes(asset.id));
+
+  const manifestPath = join(ROOT, config.out, 'manifest.json');
+  const previous = await readFile(manifestPath, 'utf8').then(JSON.parse, () => ({ assets: {} }));
+  const manifest = { version: CONFIG_VERSION, assets: { ...previous.assets } };
+
+  if (snippetsOnly) {
+    for (const asset of assets) await writeSnippet(config, asset, manifest.assets[asset.id]);
+    return;
+  }
+
+  let sharp;
+  for (const asset of assets) {
+    const noise = asset.type === 'noise';
+    b(noise ? `${asset.id} (noise)` : `${asset.id} ← ${asset.source}`);
+    const sourcePath = noise ? null : join(ROOT, asset.source);
+    if (sourcePath && !await exists(sourcePath)) {
+      warn(`Skipped ${asset.id} (${asset.source} not found)`);
+      continue;
+    }
+
+    const hash = assetHash(asset, sourcePath ? await readFile(sourcePath) : '');
+    const entry = manifest.assets[asset.id];
+    // Tile previews are git-ignored, so a fresh checkout never has them; --force makes one
+    const required = entry?.outputs.filter(o => o.role !== 'preview') || [];
+    const present = entry && (await Promise.all(required.map(o => exists(join(ROOT, o.file))))).every(Boolean);
+    if (!force && entry?.hash === hash && present) {
+      ok(`Unchanged (${entry.outputs.length} files)`);
+      continue;
+    }
+
+    if (!noise) sharp ??= await loadSharp();
+    const outputs = noise ? await writeNoise(config, asset) : await render(sharp, config, asset, sourcePath);
+    outputs.forEach(o => ok(`${o.file} ${o.width}×${o.height} ${(o.bytes / 1024).toFixed(1)} KB`));
+
+    // Files the previous run made that this config no longer produces
+    const kept = new Set(outputs.map(o => o.file));
+    for (const old of entry?.outputs || []) {
+      if (kept.has(old.file)) continue;
+      await rm(join(ROOT, old.file), { force: true });
+      warn(`Removed stale ${old.file}`);
+    }
+
+    manifest.assets[asset.id] = { ...(noise ? {} : { source: asset.source }), hash, outputs };
+    await writeSnippet(config, asset, manifest.assets[asset.id]);
+  }
+
+  // Assets dropped from the config take their files with them (full runs only)
+  if (!only.length) {
+    for (const [id, entry] of Object.entries(manifest.assets)) {
+      if (config.assets.some(asset => asset.id === id)) continue;
+      await Promise.all(entry.outputs.map(o => rm(join(ROOT, o.file), { force: true })));
+      delete manifest.assets[id];
+      warn(`Removed ${id} (no longer in ${CONFIG})`);
+    }
+  }
+
+  await mkdir(dirname(manifestPath), { recursive: true });
+  await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  ok(`Manifest: ${config.out}/manifest.json`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    err(error.message);
+    process.exit(1);
+  });
+}
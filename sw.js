@@ -0,0 +1,139 @@
+// Service worker: the site works offline after the first visit.
+//
+// build.mjs rewrites the block between the build markers: CACHE_VERSION is a hash
+// of every precached file, so any change installs a new worker, which waits until
+// the page's "update available" toast asks it to take over (SKIP_WAITING).
+//
+//   SHELL   pages, styles, app.js, manifests and chart data; install fails without them
+//   ASSETS  vendored libraries and images; cached best-effort
+//
+// Pages are network-first so a deploy shows up on the next online visit; everything
+// else same-origin is cache-first. Cross-origin requests (CDN libraries, fonts) go
+// straight to the network: offline, DependencyManager loads the precached vendor/ copy.
+
+// build:precache
+const CACHE_VERSION = '0bce3d4f5521';
+const SHELL = [
+  './',
+  'index.html',
+  'embed.html',
+  'styles.css',
+  'app.js',
+  'favicon.ico',
+  'content/manifest.json',
+  'data/anxiety/beef.csv',
+  'data/anxiety/eggs.csv',
+  'data/anxiety/gold.csv',
+  'data/anxiety/measles.csv',
+  'data/anxiety/tradwife.csv',
+  'data/anxiety/unemployment.csv',
+  'data/intimacy/marriage-rate.csv',
+  'data/intimacy/screen-time.csv',
+  'data/intimacy/sexual-frequency.json',
+  'data/intimacy/ssri-prescriptions.json',
+  'data/manifest.json'
+];
+const ASSETS = [
+  'vendor/ScrollTrigger-3.12.5.min.js',
+  'vendor/gsap-3.12.5.min.js',
+  'vendor/plotly-2.32.0.min.js',
+  'vendor/three-r128.min.js',
+  'vendor/tone-14.8.49.js',
+  'img/tiktok-poster.jpg',
+  'exports/grit/grit-red-2048.jpg',
+  'exports/grit/grit-red.avif',
+  'exports/grit/grit-red.webp',
+  'exports/hero/hero-stars-1280.avif',
+  'exports/hero/hero-stars-1280.jpg',
+  'exports/hero/hero-stars-1280.webp',
+  'exports/hero/hero-stars-1920.avif',
+  'exports/hero/hero-stars-1920.jpg',
+  'exports/hero/hero-stars-1920.webp',
+  'exports/hero/hero-stars-2560.avif',
+  'exports/hero/hero-stars-2560.jpg',
+  'exports/hero/hero-stars-2560.webp',
+  'exports/hero/hero-stars-3840.avif',
+  'exports/hero/hero-stars-3840.jpg',
+  'exports/hero/hero-stars-3840.webp',
+  'exports/hero/hero-stars-768.avif',
+  'exports/hero/hero-stars-768.jpg',
+  'exports/hero/hero-stars-768.webp',
+  'exports/hero/hero-stars-blur.jpg',
+  'exports/manifest.json',
+  'exports/news/newspaper-53.avif',
+  'exports/news/newspaper-53.jpg',
+  'exports/news/newspaper-53.webp',
+  'exports/noise/grit-noise.svg',
+  'exports/noise/paper-noise.svg'
+];
+// /build:precache
+
+const PRECACHE = `bored-precache-${CACHE_VERSION}`;
+const RUNTIME = `bored-runtime-${CACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    await cache.addAll(SHELL);
+    const results = await Promise.allSettled(ASSETS.map(url => cache.add(url)));
+    const failed = ASSETS.filter((url, i) => results[i].status === 'rejected');
+    if (failed.length) console.error('Service worker skipped uncachable assets:', failed);
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [PRECACHE, RUNTIME];
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('bored-') && !keep.includes(key))
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  // Script-tag CDN loads are no-cors, so their errors are opaque too; caching one
+  // would replay it until CACHE_VERSION changes
+  if (new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(RUNTIME);
+  try {
+    const response = await fetch(request);
+    // Keyed by path, so each filter or chart state in the query doesn't add an entry
+    const url = new URL(request.url);
+    if (response.ok) cache.put(new Request(url.origin + url.pathname), response.clone());
+    return response;
+  } catch (error) {
+    // Query strings carry filter and chart state; the cached page handles them itself
+    return (await caches.match(request, { ignoreSearch: true }))
+      || (await caches.match('index.html'))
+      || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,105 @@
+// AnxietyIndex against the hand-computed fixtures in test/fixtures/anxiety.
+//
+//   node --test
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+
+const require = createRequire(import.meta.url);
+const { AnxietyIndex } = require('../app.js');
+
+const fixture = (name) =>
+  JSON.parse(readFileSync(new URL(`./fixtures/anxiety/${name}`, import.meta.url), 'utf8'));
+
+const SERIES = fixture('series.json');
+const [PRICES, CASES] = SERIES;
+const QUARTERS = AnxietyIndex.buildGrid(SERIES, 'quarter');
+
+describe('AnxietyIndex.resample', () => {
+  it('averages level series within a bucket', () => {
+    const values = AnxietyIndex.resample(PRICES, QUARTERS, 'quarter');
+    assert.equal(values[0], 20);
+    assert.equal(values[2], 40);
+  });
+
+  it('sums count series within a bucket', () => {
+    const values = AnxietyIndex.resample(CASES, QUARTERS, 'quarter');
+    assert.equal(values[1], 6);
+    assert.equal(values[4], 5);
+  });
+
+  it('fills interior gaps linearly and leaves the edges null', () => {
+    assert.deepEqual(AnxietyIndex.resample(PRICES, QUARTERS, 'quarter'), [20, 30, 40, 60, 70]);
+    assert.deepEqual(AnxietyIndex.resample(CASES, QUARTERS, 'quarter'), [null, 6, 4, 4.5, 5]);
+  });
+
+  it('walks a monthly grid across the year boundary', () => {
+    const series = { id: 'm', x: ['2020-11', '2021-02'], y: [0, 30] };
+    const grid = AnxietyIndex.buildGrid([series], 'month');
+    assert.deepEqual(grid.map(p => p.key), ['2020-11', '2020-12', '2021-01', '2021-02']);
+    assert.deepEqual(AnxietyIndex.resample(series, grid, 'month'), [0, 10, 20, 30]);
+  });
+});
+
+describe('AnxietyIndex.normalize', () => {
+  it('minmax scales to 0–100 and keeps nulls', () => {
+    assert.deepEqual(AnxietyIndex.normalize([null, 6, 4, 4.5, 5], 'minmax'), [null, 100, 0, 25, 50]);
+  });
+
+  it('minmax puts a flat series at 50', () => {
+    assert.deepEqual(AnxietyIndex.normalize([3, 3, null], 'minmax'), [50, 50, null]);
+  });
+
+  it('percentile maps one standard deviation to the normal CDF', () => {
+    assert.deepEqual(AnxietyIndex.normalize([0, 10], 'percentile'), [15.87, 84.13]);
+    assert.equal(AnxietyIndex.normalize([1, 2, 3], 'percentile')[1], 50);
+  });
+
+  it('rebase sets the base period to 100', () => {
+    assert.deepEqual(
+      AnxietyIndex.normalize([20, 30, 40, 60, 70], 'rebase', 1),
+      [66.67, 100, 133.33, 200, 233.33]
+    );
+  });
+
+  it('rebase falls back to the first observation when the base period is empty', () => {
+    assert.deepEqual(
+      AnxietyIndex.normalize([null, 6, 4, 4.5, 5], 'rebase', 0),
+      [null, 100, 66.67, 75, 83.33]
+    );
+  });
+
+  it('returns all nulls for an empty series', () => {
+    assert.deepEqual(AnxietyIndex.normalize([null, null], 'rebase'), [null, null]);
+  });
+});
+
+describe('AnxietyIndex.build', () => {
+  it('matches the committed minmax index', () => {
+    assert.deepEqual(AnxietyIndex.build(SERIES), fixture('build-quarter-minmax.expected.json'));
+  });
+
+  it('matches the committed rebased index', () => {
+    const index = AnxietyIndex.build(SERIES, { mode: 'rebase', basePeriod: '2020-Q2' });
+    assert.deepEqual(index, fixture('build-quarter-rebase.expected.json'));
+  });
+
+  it('rebases on the first period when basePeriod is not on the grid', () => {
+    const index = AnxietyIndex.build(SERIES, { mode: 'rebase', basePeriod: '1999-Q1' });
+    assert.equal(index.basePeriod, '2020-Q1');
+    assert.deepEqual(index.series.prices.values, [100, 150, 200, 300, 350]);
+    // cases has no 2020-Q1 value, so it falls back to its own first observation
+    assert.deepEqual(index.series.cases.values, [null, 100, 66.67, 75, 83.33]);
+  });
+
+  it('is deterministic', () => {
+    const options = { mode: 'percentile' };
+    assert.deepEqual(AnxietyIndex.build(SERIES, options), AnxietyIndex.build(SERIES, options));
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => AnxietyIndex.build(SERIES, { mode: 'log' }), /Unknown normalization mode "log"/);
+  });
+});
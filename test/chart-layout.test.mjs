@@ -0,0 +1,185 @@
+// ChartManager's width-dependent layouts, one tier at a time, and the debounced
+// re-layout that ResizeObserver drives. No browser: the layouts are plain objects.
+//
+//   node --test
+
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+
+const require = createRequire(import.meta.url);
+const { ChartManager, CHART_TIERS, CHART_LAYOUTS, CHART_RESIZE_DELAY } = require('../app.js');
+
+// A container width inside each tier
+const WIDTHS = { narrow: 340, medium: 500, wide: 900 };
+
+const manager = (options) => {
+  const charts = new ChartManager(options);
+  charts.anxietyIndex = { mode: 'minmax', basePeriod: '2015-Q1' };
+  return charts;
+};
+
+describe('ChartManager.responsiveLayout', () => {
+  it('switches tier exactly at CHART_TIERS', () => {
+    const tier = (width) => ChartManager.responsiveLayout('intimacy', width).tier;
+    assert.equal(tier(CHART_TIERS.narrow - 1), 'narrow');
+    assert.equal(tier(CHART_TIERS.narrow), 'medium');
+    assert.equal(tier(CHART_TIERS.medium - 1), 'medium');
+    assert.equal(tier(CHART_TIERS.medium), 'wide');
+  });
+
+  it('merges the shared values with the chart’s own', () => {
+    const size = ChartManager.responsiveLayout('anxiety', WIDTHS.medium);
+    const { intimacy, anxiety, ...shared } = CHART_LAYOUTS.medium;
+    assert.deepEqual(size, { tier: 'medium', width: WIDTHS.medium, ...shared, ...anxiety });
+  });
+});
+
+describe('ChartManager.stack', () => {
+  it('splits the plot into equal panels below their gaps', () => {
+    assert.deepEqual(ChartManager.stack([0, 20], 100), [[0.6, 1], [0, 0.4]]);
+    assert.deepEqual(ChartManager.stack([0, 5, 5], 100), [[0.7, 1], [0.35, 0.65], [0, 0.3]]);
+  });
+});
+
+describe('intimacy layout', () => {
+  const layoutAt = (tier) => {
+    const size = ChartManager.responsiveLayout('intimacy', WIDTHS[tier]);
+    return manager().intimacyLayout(size);
+  };
+
+  it('narrow: stacks SSRI in its own panel under the shared year axis', () => {
+    const layout = layoutAt('narrow');
+    assert.equal(layout.uirevision, 'narrow');
+    assert.equal(layout.height, CHART_LAYOUTS.narrow.intimacy.height);
+    assert.equal(layout.xaxis.anchor, 'y2');
+    assert.equal(layout.xaxis.dtick, CHART_LAYOUTS.narrow.intimacy.dtick);
+    assert.equal(layout.yaxis2.overlaying, undefined);
+    assert.deepEqual(layout.xaxis.domain, [0, 1]);
+
+    // Four panels, top to bottom, none overlapping
+    const panels = ['yaxis', 'yaxis2', 'yaxis3', 'yaxis4'].map(axis => layout[axis].domain);
+    panels.forEach(([bottom, top]) => assert.ok(bottom < top));
+    panels.slice(1).forEach((panel, i) => assert.ok(panel[1] <= panels[i][0]));
+    assert.equal(panels[0][1], 1);
+    assert.equal(panels[3][0], 0);
+
+    // Headings wrap to the phone's width instead of running off it
+    assert.ok(layout.annotations.some(a => a.text.includes('<br>')));
+  });
+
+  for (const tier of ['medium', 'wide']) {
+    it(`${tier}: overlays SSRI on a right-hand axis`, () => {
+      const layout = layoutAt(tier);
+      assert.equal(layout.uirevision, tier);
+      assert.equal(layout.height, CHART_LAYOUTS[tier].intimacy.height);
+      assert.equal(layout.xaxis.anchor, 'y');
+      assert.equal(layout.xaxis.dtick, CHART_LAYOUTS[tier].intimacy.dtick);
+      assert.equal(layout.yaxis2.overlaying, 'y');
+      assert.equal(layout.yaxis2.side, 'right');
+      assert.deepEqual(layout.yaxis2.domain, layout.yaxis.domain);
+
+      const panels = ['yaxis', 'yaxis3', 'yaxis4'].map(axis => layout[axis].domain);
+      panels.slice(1).forEach((panel, i) => assert.ok(panel[1] <= panels[i][0]));
+      assert.deepEqual(layout.margin, { ...CHART_LAYOUTS[tier].intimacy.margin, t: layout.margin.t });
+    });
+  }
+});
+
+describe('anxiety layout', () => {
+  const layoutAt = (tier) => {
+    const size = ChartManager.responsiveLayout('anxiety', WIDTHS[tier]);
+    return manager().anxietyLayout(size);
+  };
+
+  it('narrow: moves the legend under the year labels and levels them', () => {
+    const layout = layoutAt('narrow');
+    assert.equal(layout.xaxis.tickangle, 0);
+    assert.equal(layout.xaxis.nticks, CHART_LAYOUTS.narrow.anxiety.nticks);
+    assert.equal(layout.legend.yanchor, 'top');
+    assert.ok(layout.legend.y < 0);
+  });
+
+  for (const tier of ['medium', 'wide']) {
+    it(`${tier}: keeps the legend above the scale note`, () => {
+      const layout = layoutAt(tier);
+      assert.equal(layout.height, CHART_LAYOUTS[tier].anxiety.height);
+      assert.equal(layout.xaxis.tickangle, -45);
+      assert.equal(layout.xaxis.nticks, CHART_LAYOUTS[tier].anxiety.nticks);
+      assert.equal(layout.legend.yanchor, 'bottom');
+      assert.ok(layout.legend.y > 1);
+    });
+  }
+
+  it('names the base period when rebased', () => {
+    const charts = manager();
+    charts.anxietyIndex = { mode: 'rebase', basePeriod: '2015-Q1' };
+    const layout = charts.anxietyLayout(ChartManager.responsiveLayout('anxiety', WIDTHS.wide));
+    assert.equal(layout.yaxis.title.text, 'Index (2015-Q1 = 100)');
+    assert.equal(layout.yaxis.autorange, true);
+  });
+});
+
+describe('ChartManager.chartHeight', () => {
+  it('uses the tier height on the page', () => {
+    const size = ChartManager.responsiveLayout('anxiety', WIDTHS.wide);
+    assert.equal(manager().chartHeight('anxiety', size), CHART_LAYOUTS.wide.anxiety.height);
+  });
+
+  it('follows the container’s aspect in embeds, down to minHeight', () => {
+    const charts = manager({ fitContainer: true });
+    const wide = ChartManager.responsiveLayout('anxiety', 1000);
+    assert.equal(charts.chartHeight('anxiety', wide), 750);
+    const narrow = ChartManager.responsiveLayout('anxiety', 200);
+    assert.equal(charts.chartHeight('anxiety', narrow), CHART_LAYOUTS.narrow.anxiety.minHeight);
+  });
+});
+
+describe('ChartManager.scheduleLayout', () => {
+  // Charts drawn at 900px; widths are what the containers measure now
+  const setup = (widths) => {
+    const charts = manager();
+    const drawn = { intimacy: 0, anxiety: 0 };
+    charts.charts = { intimacy: 'intimacy-chart', anxiety: 'anxiety-chart' };
+    charts.sizes = { intimacy: { width: 900 }, anxiety: { width: 900 } };
+    charts.chartWidth = (key) => widths[key];
+    charts.renderIntimacy = () => drawn.intimacy++;
+    charts.updateAnxietyChart = () => drawn.anxiety++;
+    return { charts, drawn };
+  };
+
+  it('lays a chart out once after a burst of resizes settles', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { charts, drawn } = setup({ intimacy: 340, anxiety: 340 });
+
+    charts.scheduleLayout(['intimacy']);
+    t.mock.timers.tick(CHART_RESIZE_DELAY - 1);
+    charts.scheduleLayout(['intimacy', 'anxiety']);
+    t.mock.timers.tick(CHART_RESIZE_DELAY - 1);
+    charts.scheduleLayout(['intimacy']);
+    assert.deepEqual(drawn, { intimacy: 0, anxiety: 0 });
+
+    t.mock.timers.tick(CHART_RESIZE_DELAY);
+    assert.deepEqual(drawn, { intimacy: 1, anxiety: 1 });
+  });
+
+  it('skips charts whose width has not changed', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { charts, drawn } = setup({ intimacy: 900, anxiety: 500 });
+
+    charts.scheduleLayout(['intimacy', 'anxiety']);
+    t.mock.timers.tick(CHART_RESIZE_DELAY);
+    assert.deepEqual(drawn, { intimacy: 0, anxiety: 1 });
+  });
+
+  it('ignores containers without a live chart', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { charts, drawn } = setup({ intimacy: 340, anxiety: 340 });
+    delete charts.charts.anxiety;
+
+    charts.scheduleLayout(['anxiety', 'press']);
+    t.mock.timers.tick(CHART_RESIZE_DELAY);
+    assert.deepEqual(drawn, { intimacy: 0, anxiety: 0 });
+    assert.equal(charts.pendingLayout.size, 0);
+  });
+});
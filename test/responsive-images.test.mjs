@@ -0,0 +1,51 @@
+// build.mjs's <picture data-image> and image-set() rewrites against the pages and
+// exported variants in test/fixtures/images. Nothing is read from exports/.
+//
+//   node --test
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+const { rewritePictures, rewriteImageSets } = await import('../build.mjs');
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/images/${name}`, import.meta.url), 'utf8');
+const images = () => JSON.parse(fixture('images.json'));
+
+describe('rewritePictures', () => {
+  it('fills sources, srcset and sizes from the exported variants', () => {
+    assert.equal(rewritePictures(fixture('page.html'), images(), 'page.html'), fixture('page.expected.html'));
+  });
+
+  it('leaves an up-to-date page unchanged', () => {
+    const page = fixture('page.expected.html');
+    assert.equal(rewritePictures(page, images(), 'page.html'), page);
+  });
+
+  it('names the generate_assets.mjs run that would fix missing variants', () => {
+    const stale = images();
+    stale.hero.missing = ['exports/hero/hero-768.avif'];
+    assert.throws(
+      () => rewritePictures(fixture('page.html'), stale, 'page.html'),
+      /page\.html: "hero" is missing exports\/hero\/hero-768\.avif — run: node generate_assets\.mjs hero/
+    );
+  });
+
+  it('rejects unknown assets and pictures without alt text', () => {
+    const unknown = '<picture data-image="moon"><img alt=""></picture>';
+    assert.throws(() => rewritePictures(unknown, images(), 'page.html'), /no asset "moon"/);
+    const noAlt = '<picture data-image="hero"><img src="x.jpg"></picture>';
+    assert.throws(() => rewritePictures(noAlt, images(), 'page.html'), /needs an <img alt="…">/);
+  });
+});
+
+describe('rewriteImageSets', () => {
+  it('lists every format at the largest width and keeps the url() fallback', () => {
+    assert.equal(rewriteImageSets(fixture('styles.css'), images(), 'styles.css'), fixture('styles.expected.css'));
+  });
+
+  it('leaves up-to-date CSS unchanged', () => {
+    const css = fixture('styles.expected.css');
+    assert.equal(rewriteImageSets(css, images(), 'styles.css'), css);
+  });
+});
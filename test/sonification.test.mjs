@@ -0,0 +1,172 @@
+// Sonification's channel mapping and score against test/fixtures/sonification, and
+// the note times render() schedules through a recording stand-in for Tone.Offline.
+//
+//   node --test
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+
+const require = createRequire(import.meta.url);
+const { Sonification } = require('../app.js');
+
+const CHANNELS = JSON.parse(
+  readFileSync(new URL('./fixtures/sonification/channels.json', import.meta.url), 'utf8')
+);
+
+// Quarter-note lengths at 84 and 124 BPM, the fixture's two tempos
+const SLOW = 60 / 84;
+const FAST = 60 / 124;
+
+// Just enough of Tone for Sonification.render(): the voices record what they are asked
+// to play, and the transport steps through each Sequence one quarter note at a time at
+// the tempo the previous step set, as Tone's tick clock does.
+const fakeTone = () => {
+  const played = [];
+  const sequences = [];
+  const transport = {
+    bpm: { value: 120, setValueAtTime(value) { this.value = value; } },
+    start() {}
+  };
+
+  class Node {
+    connect() { return this; }
+    toDestination() { return this; }
+  }
+  class Filter extends Node {
+    frequency = { rampTo: (value, ramp, time) => played.push({ voice: 'filter', value, time }) };
+  }
+  class Synth extends Node {
+    constructor() { super(); this.voice = 'lead'; }
+    triggerAttackRelease(note, duration, time) { played.push({ voice: this.voice, note, time }); }
+  }
+  class PolySynth extends Synth {
+    constructor() { super(); this.voice = 'pad'; }
+  }
+  class Sequence {
+    constructor(callback, events) { Object.assign(this, { callback, events }); }
+    start(at) { this.at = at; sequences.push(this); }
+  }
+
+  const Offline = async (callback, duration) => {
+    callback({ transport });
+    for (const { callback: step, events, at } of sequences) {
+      let time = at;
+      for (const event of events) {
+        if (time >= duration) break;
+        step(time, event);
+        time += 60 / transport.bpm.value;
+      }
+    }
+    return { duration };
+  };
+
+  return { played, Tone: { Filter, Synth, PolySynth, Sequence, Offline } };
+};
+
+describe('Sonification.normalize', () => {
+  it('scales to 0–1 and keeps gaps', () => {
+    assert.deepEqual(Sonification.normalize([10, 20, 30, null, 15]), [0, 0.5, 1, null, 0.25]);
+  });
+
+  it('puts a flat channel in the middle', () => {
+    assert.deepEqual(Sonification.normalize([4, 4]), [0.5, 0.5]);
+  });
+});
+
+describe('Sonification.channels', () => {
+  it('samples the intimacy series at the lead series’ years', () => {
+    const series = (x, y) => ({ x, y });
+    const charts = {
+      intimacySeries: {
+        'sexual-frequency': series([2000, 2005, 2010], [60, 55, 50]),
+        'ssri-prescriptions': series([2000, 2010], [0, 100]),
+        'screen-time': series([2004, 2006], [2, 6]),
+        'marriage-rate': series([2000, 2010], [8, 8])
+      }
+    };
+    assert.deepEqual(Sonification.channels('intimacy', charts), {
+      melody: [60, 55, 50],
+      density: [0, 50, 100],
+      filter: [2, 4, 6],
+      tempo: [8, 8, 8]
+    });
+  });
+
+  it('averages only the anxiety metrics that are switched on', () => {
+    const charts = {
+      anxietyIndex: {
+        dates: ['2020-Q1', '2020-Q2', '2020-Q3'],
+        series: {
+          eggs: { values: [20, 60, null] },
+          gold: { values: [40, 80, 90] },
+          beef: { values: [100, 100, 100] }
+        }
+      },
+      anxietyMetrics: [{ key: 'eggs' }, { key: 'gold' }, { key: 'beef' }],
+      activeMetrics: { eggs: true, gold: true, beef: false }
+    };
+    assert.deepEqual(Sonification.channels('anxiety', charts), {
+      melody: [30, 70, 90],
+      density: [0, 2, 1],
+      filter: [40, 80, 90],
+      tempo: [30, 70, 90]
+    });
+  });
+});
+
+describe('Sonification.score', () => {
+  it('maps each channel onto its range', () => {
+    assert.deepEqual(Sonification.score(CHANNELS), [
+      { note: 'A3', voices: 1, cutoff: 4000, bpm: 84 },
+      { note: 'A4', voices: 2, cutoff: 4000, bpm: 124 },
+      { note: 'A5', voices: 3, cutoff: 500, bpm: 124 },
+      { note: null, voices: 3, cutoff: 500, bpm: 84 },
+      { note: 'E4', voices: 4, cutoff: 1414, bpm: 84 }
+    ]);
+  });
+});
+
+describe('Sonification.render', () => {
+  const render = async (duration) => {
+    const { played, Tone } = fakeTone();
+    globalThis.Tone = Tone;
+    try {
+      await Sonification.render(Sonification.score(CHANNELS), duration);
+    } finally {
+      delete globalThis.Tone;
+    }
+    const round = ({ time, ...event }) => ({ ...event, time: Math.round(time * 1000) / 1000 });
+    return {
+      lead: played.filter(e => e.voice === 'lead').map(round),
+      pad: played.filter(e => e.voice === 'pad').map(round),
+      filter: played.filter(e => e.voice === 'filter').map(round)
+    };
+  };
+  const at = (seconds) => Math.round(seconds * 1000) / 1000;
+
+  it('plays one note per quarter at each step’s tempo and rests on gaps', async () => {
+    const { lead } = await render(8);
+    assert.deepEqual(lead, [
+      { voice: 'lead', note: 'A3', time: 0 },
+      { voice: 'lead', note: 'A4', time: at(SLOW) },
+      { voice: 'lead', note: 'A5', time: at(SLOW + FAST) },
+      { voice: 'lead', note: 'E4', time: at(2 * SLOW + 2 * FAST) }
+    ]);
+  });
+
+  it('re-voices the pad once per bar and sweeps the filter every step', async () => {
+    const { pad, filter } = await render(8);
+    assert.deepEqual(pad, [
+      { voice: 'pad', note: ['A2'], time: 0 },
+      { voice: 'pad', note: ['A2', 'E3', 'C4', 'G4'], time: at(2 * SLOW + 2 * FAST) }
+    ]);
+    assert.deepEqual(filter.map(e => e.value), [4000, 4000, 500, 500, 1414]);
+  });
+
+  it('stops at the render duration', async () => {
+    const { lead } = await render(1);
+    assert.deepEqual(lead.map(e => e.note), ['A3', 'A4']);
+  });
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Vendors the CDN libraries: downloads every <script data-lib data-fallback> in the
+// pages to its data-fallback path, so DependencyManager has a local copy to load
+// when a CDN is blocked or down. The copies are committed, since the site is served
+// as static files with no deploy step. Re-run after bumping a library version, commit
+// vendor/ and run node build.mjs so sw.js precaches the new copies.
+//
+//   node vendor.mjs           download missing copies (--force re-downloads all)
+//   node vendor.mjs --check   exit 1 if a fallback file is missing (for CI)
+
+import { access, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const PAGES = ['index.html', 'embed.html'];
+
+// ---------- pretty logging (same voice as build.mjs) ----------
+const b = (msg) => console.log(`\x1b[1m${msg}\x1b[0m`);
+const ok = (msg) => console.log(`✅ ${msg}`);
+const warn = (msg) => console.log(`⚠️  ${msg}`);
+const err = (msg) => console.error(`❌ ${msg}`);
+
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+const exists = (path) => access(path).then(() => true, () => false);
+
+async function readLibraries() {
+  const libs = new Map(); // fallback path → { lib, src }
+  for (const page of PAGES) {
+    const html = await readFile(join(ROOT, page), 'utf8');
+    for (const [tag] of html.matchAll(/<script\b[^>]*\sdata-lib="[^"]*"[^>]*>/g)) {
+      const fallback = attr(tag, 'data-fallback');
+      if (!fallback) {
+        warn(`${page}: ${attr(tag, 'data-lib')} has no data-fallback`);
+        continue;
+      }
+      libs.set(fallback, { lib: attr(tag, 'data-lib'), src: attr(tag, 'src') });
+    }
+  }
+  return libs;
+}
+
+async function main() {
+  const check = process.argv.includes('--check');
+  const force = process.argv.includes('--force');
+
+  b('Vendored libraries');
+  const libs = await readLibraries();
+  let missing = 0;
+
+  for (const [fallback, { lib, src }] of libs) {
+    const path = join(ROOT, fallback);
+    if (!force && await exists(path)) {
+      ok(`${lib}: ${fallback}`);
+      continue;
+    }
+    if (check) {
+      err(`${lib}: ${fallback} is missing — run: node vendor.mjs`);
+      missing++;
+      continue;
+    }
+
+    const res = await fetch(src).catch(error => {
+      throw new Error(`${lib}: could not fetch ${src} (${error.message})`);
+    });
+    if (!res.ok) throw new Error(`${lib}: ${src} returned ${res.status}`);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, Buffer.from(await res.arrayBuffer()));
+    ok(`${lib}: ${src} → ${fallback}`);
+  }
+
+  if (missing) process.exit(1);
+}
+
+main().catch(error => {
+  err(error.message);
+  process.exit(1);
+});